@@ -1,97 +1,57 @@
 // Add/keep existing imports
 import * as functions from "firebase-functions";
-import { onCall, HttpsError } from "firebase-functions/v2/https";
+import { onCall, onRequest, HttpsError } from "firebase-functions/v2/https";
+import { onDocumentCreated, onDocumentUpdated, onDocumentDeleted } from "firebase-functions/v2/firestore";
+import { onTaskDispatched } from "firebase-functions/v2/tasks";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import * as functionsV1 from "firebase-functions/v1";
 import { logger } from "firebase-functions";
-import admin from "firebase-admin";
-import { Storage } from "@google-cloud/storage";
-import textToSpeech from "@google-cloud/text-to-speech";
-import { z } from "zod";
-import { generate } from "@genkit-ai/googleai";
+import { admin, db } from "./src/firebase.js";
+import {
+  InputSchema, USAGE_GUIDE, SearchPaintsInput, PaintByHexInput, BrandPaintsInput, MatchPaintsInput, AnalyzePaletteInput,
+  GeneratePaletteInput, StoryVisibilityInput, ShareStoryInput, RevokeShareInput, UserQuotaInput, UsageReportInput,
+  VariantInput, StoryIdInput, RetryStepInput, AudioTrackInput, ExportStoryInput, ImportPaletteInput, ExportPaletteInput,
+  RegenerateStoryInput, ExportMyDataInput, DeleteAccountInput,
+} from "./src/schemas.js";
+import { requireAuth, requireAdmin, requireOwner, requireStoryRole, parseInput, isAdmin } from "./src/callable.js";
+import { consumeQuota, refundQuota, getUsage, setLimits } from "./src/quota.js";
+import { claimRequest, duplicateResult } from "./src/idempotency.js";
+import { variantPalette, lineageFields, buildVariantTree } from "./src/variants.js";
+import { resolveAudioOptions } from "./src/voices.js";
+import { assignPromptVersions } from "./src/prompts/registry.js";
+import { sanitizeStoryInput, sanitizeVariantInput, sanitizeStoryChanges, checkStoryInputs } from "./src/safety.js";
+import { createAudioTrack } from "./src/pipeline/tracks.js";
+import { exportStory as writeStoryExports, storyPageHtml, storyPagePath } from "./src/story_export.js";
+import { aggregateUsage } from "./src/usage_ledger.js";
+import { cleanupStory, sweepOrphanedAssets, sweepStuckStories } from "./src/cleanup.js";
+import { exportUserData, eraseAccount, sweepExpiredExports, DELETIONS_COLLECTION, RECENT_SIGN_IN_MS } from "./src/account_data.js";
+import { analyzePalette as analyzeHexes } from "./src/palette_analysis.js";
+import { searchPaints as searchCatalog, findByHex, listBrandPaints, listBrands, resolveBrands } from "./src/catalog.js";
+import { enrichPaletteItems, matchPaints as matchCatalog } from "./src/paint_match.js";
+import { rollPalette } from "./src/palette_generator.js";
+import {
+  parsePaletteFile, matchImportedColors, paletteDocColors, paletteFromDoc, paletteFromStory, serializePalette,
+} from "./src/palette_formats/index.js";
+import { uploadBuffer, downloadBuffer } from "./src/storage.js";
+import { renderHeroPng } from "./src/media/hero.js";
+import { isPublicAccess, storyMediaUrls, syncMediaAccess } from "./src/media/access.js";
+import { getProvider } from "./src/providers/index.js";
+import {
+  runPipeline, writeProgress, stepProgress, affectedSteps, STEP_IDS,
+  JOBS_COLLECTION, JOB_RETRY_CONFIG, storyInputs, enqueueStoryJob, cancelStoryJob, dispatchStep, processJobStep,
+} from "./src/pipeline/index.js";
 // (others unchanged)
 
-admin.initializeApp();
-const db = admin.firestore();
-const storage = new Storage();
-const ttsClient = new textToSpeech.TextToSpeechClient();
-
-// ✅ Input validation schemas
-const PaletteItem = z.object({
-  hex: z.string().regex(/^#[0-9A-Fa-f]{6}/),
-  brandName: z.string().optional(),
-  name: z.string().optional(),
-  code: z.string().optional(),
-});
-
-const ModernPalette = z.object({
-  id: z.string().optional(),
-  name: z.string().default("Untitled"),
-  items: z.array(PaletteItem).min(1, "Palette items cannot be empty"),
-});
-
-const InputSchema = z.object({
-  // Modern format
-  palette: ModernPalette.optional(),
-
-  // Legacy format
-  paletteName: z.string().optional(),
-  colors: z.array(z.string().regex(/^#[0-9A-Fa-f]{6}/)).optional(),
-
-  // Common
-  room: z.string(),
-  style: z.string(),
-  vibeWords: z.array(z.string()).default([]),
-  brandHints: z.array(z.string()).default([]),
-});
-
-const USAGE_ITEM = z.object({
-  role: z.string(),
-  hex: z.string().regex(/^#[0-9A-Fa-f]{6}/),
-  name: z.string(),
-  brandName: z.string(),
-  code: z.string(),
-  surface: z.string(),
-  finishRecommendation: z.string(),
-  sheen: z.string(),
-  howToUse: z.string()
-});
-const USAGE_GUIDE = z.array(USAGE_ITEM).min(4).max(6);
-
-async function uploadBuffer(path, buffer, contentType) {
-  const parsed = process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : null;
-  const bucketName = parsed?.storageBucket || admin.app().options.storageBucket;
-  const bucket = storage.bucket(bucketName);
-  const file = bucket.file(path);
-  await file.save(buffer, { contentType, resumable: false, public: true, validation: false });
-  await file.makePublic();
-  return `https://storage.googleapis.com/${bucket.name}/${path}`;
-}
-
-function gradientHeroSvg(hexes) {
-  const a = (hexes?.[0] || "#888888");
-  const b = (hexes?.[1] || "#444444");
-  return Buffer.from(
-`<svg xmlns="http://www.w3.org/2000/svg" width="1600" height="900">
-  <defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1">
-    <stop offset="0%" stop-color="${a}"/><stop offset="100%" stop-color="${b}"/></linearGradient></defs>
-  <rect width="1600" height="900" fill="url(#g)"/></svg>`
-  );
-}
-
-async function writeProgress(docRef, status, progress, message) {
-  await docRef.set({
-    status, progress, progressMessage: message,
-    updatedAt: admin.firestore.FieldValue.serverTimestamp()
-  }, { merge: true });
-}
-
 // ✅ Normalize modern or legacy into one shape
 function normalizePalette(data) {
+  const brandHints = data?.brandHints || [];
   if (data?.palette?.items?.length) {
     const p = data.palette;
     return {
       id: p.id ?? null,
       name: p.name ?? "Untitled",
-      items: p.items,
+      // Fill brand/name/code from the nearest catalog paint (ΔE2000) where only a hex was given
+      items: enrichPaletteItems(p.items, { brandHints }),
       hexes: p.items.map(i => i.hex),
     };
   }
@@ -101,7 +61,7 @@ function normalizePalette(data) {
     typeof data?.paletteName === "string" &&
     data.paletteName.trim().length > 0
   ) {
-    const items = data.colors.map(hex => ({ hex }));
+    const items = enrichPaletteItems(data.colors.map(hex => ({ hex })), { brandHints });
     return {
       id: null,
       name: data.paletteName.trim(),
@@ -116,17 +76,8 @@ function normalizePalette(data) {
   );
 }
 
-// ✅ Ownership validation guard wrapper
-function requireOwner(ctx, story) {
-  if (!ctx.auth) {
-    throw new functions.https.HttpsError('unauthenticated', 'Sign in required');
-  }
-  if (story.ownerId !== ctx.auth.uid) {
-    throw new functions.https.HttpsError('permission-denied', 'Not your story');
-  }
-}
-
 export const generateColorStory = onCall({ region: "us-central1" }, async (req) => {
+  let claim = null;
   try {
     // 🐛 DEBUG: Log initial request
     const uid = req.auth?.uid;
@@ -142,19 +93,10 @@ export const generateColorStory = onCall({ region: "us-central1" }, async (req)
       throw new functions.https.HttpsError("unauthenticated", "Login required.");
     }
     
-    // 🐛 DEBUG: Validate input schema
-    let input;
-    try {
-      input = InputSchema.parse(req.data);
-      logger.info("generateColorStory: Schema validation passed", { input });
-    } catch (schemaError) {
-      logger.error("generateColorStory: Schema validation failed", { 
-        error: schemaError.message, 
-        issues: schemaError.issues || [],
-        data: req.data 
-      });
-      throw new functions.https.HttpsError("invalid-argument", `Invalid input: ${schemaError.message}`);
-    }
+    // ✅ Schema, then the prompt guardrails: room/style allowlist, length limits and
+    // injection/unsafe-content checks on every free-text field (src/safety.js)
+    const input = sanitizeStoryInput(parseInput(InputSchema, req.data, "generateColorStory"));
+    logger.info("generateColorStory: Input validated", { input });
     
     // 🐛 DEBUG: Normalize palette
     let norm;
@@ -174,7 +116,16 @@ export const generateColorStory = onCall({ region: "us-central1" }, async (req)
       throw new functions.https.HttpsError("invalid-argument", `Palette normalization error: ${normalizeError.message}`);
     }
     
-    const { room, style, vibeWords = [], brandHints = [] } = input;
+    const { room, roomId, style, styleId, vibeWords = [], brandHints = [], usageGuideMode } = input;
+    const { requestId, ...params } = input;
+    // Narration language, voice and rate: request, else the user's profile preferences
+    const audioOptions = await resolveAudioOptions(input, { uid });
+
+    // ✅ Retries with the same requestId get the original story, not a second generation
+    if (requestId) {
+      claim = await claimRequest(uid, "generateColorStory", requestId, params);
+      if (claim.duplicate) return { ...(await duplicateResult(claim.storyId)), usage: await getUsage(uid) };
+    }
     
     // 🐛 DEBUG: Check all required fields are strings
     const debugInfo = {
@@ -201,8 +152,11 @@ export const generateColorStory = onCall({ region: "us-central1" }, async (req)
       safeBrandHintsCount: safeBrandHints.length
     });
     
-    // Create single Firestore document
-    const docRef = db.collection("colorStories").doc();
+    // ✅ Quota check after validation, so bad input never counts against the user
+    const usage = await consumeQuota(uid, { action: "generateColorStory" });
+
+    // Create single Firestore document (id reserved by the idempotency claim, if any)
+    const docRef = claim ? db.collection("colorStories").doc(claim.storyId) : db.collection("colorStories").doc();
     
     logger.info("generateColorStory: Creating Firestore document", { 
       docId: docRef.id,
@@ -220,9 +174,15 @@ export const generateColorStory = onCall({ region: "us-central1" }, async (req)
       sourcePaletteId: norm.id || null,
       palette: norm,
       room: safeRoom,
+      roomId,
       style: safeStyle,
+      styleId,
       vibeWords: safeVibeWords,
       brandHints: safeBrandHints,
+      usageGuideMode,
+      ...audioOptions,
+      // Template versions, including A/B arms (src/prompts/registry.js)
+      ...assignPromptVersions(uid),
       access: "private",
       status: "processing",
       progress: 0.1,
@@ -234,182 +194,17 @@ export const generateColorStory = onCall({ region: "us-central1" }, async (req)
     logger.info("generateColorStory: Initial document created successfully");
 
     try {
-      // 1) Generate Narration using Genkit/Gemini
-      await writeProgress(docRef, "processing", 0.3, "Writing narration…");
-      
-      // 🐛 DEBUG: Build narration prompt with safe values
-      const narrationPrompt = `You are an interior color expert. Write 300–600 words for a ${safeRoom} in ${safeStyle} style.
-Vibe words: ${safeVibeWords.join(", ")}.
-Brand hints: ${safeBrandHints.join(", ")}.
-Use these paints (hex + brand/name/code if provided): ${JSON.stringify(norm.hexes || [])}.
-Explain role placement (main/trim/ceiling/accent/door/cabinet), finish & sheen, and simple lighting tips.
-Tone: warm, expert, practical.`;
-
-      logger.info("generateColorStory: Calling Gemini for narration", { 
-        promptLength: narrationPrompt.length,
-        model: "models/gemini-1.5-pro-latest"
-      });
-      
-      const narrationRes = await generate({ 
-        model: "models/gemini-1.5-pro-latest", 
-        input: [{ text: narrationPrompt }] 
-      });
-      
-      logger.info("generateColorStory: Gemini narration response", { 
-        hasOutput: !!narrationRes?.output,
-        outputLength: narrationRes?.output?.length || 0,
-        hasContent: !!narrationRes?.output?.[0]?.content,
-        contentLength: narrationRes?.output?.[0]?.content?.length || 0
-      });
-      
-      const narration = narrationRes?.output?.[0]?.content?.[0]?.text || "";
-      logger.info("generateColorStory: Extracted narration", { 
-        narrationLength: narration.length 
-      });
-      
-      await docRef.set({ 
-        narration, 
-        modelAttribution: { 
-          provider: "Google", 
-          model: "Gemini 1.5 Pro", 
-          promptVersion: "v1" 
-        } 
-      }, { merge: true });
-      logger.info("generateColorStory: Narration saved to Firestore");
-
-      // 2) Generate Usage Guide using Genkit/Gemini
-      await writeProgress(docRef, "processing", 0.5, "Building usage guide…");
-      
-      const ugPrompt = `Return STRICT JSON array (4–6 items), no prose.
-Each item keys: role, hex, name, brandName, code, surface, finishRecommendation, sheen, howToUse.
-Match room=${safeRoom}, style=${safeStyle}, vibe=${safeVibeWords.join(", ")}, brands=${safeBrandHints.join(", ")} and provided palette.
-Roles should include main, trim, ceiling, accent and add door/cabinet if present.`;
-
-      logger.info("generateColorStory: Generating usage guide", { 
-        promptLength: ugPrompt.length 
-      });
-      
-      let usageGuide = [];
-      try {
-        const ugRes = await generate({ 
-          model: "models/gemini-1.5-pro-latest", 
-          input: [{ text: ugPrompt }] 
-        });
-        const raw = ugRes?.output?.[0]?.content?.[0]?.text || "[]";
-        
-        logger.info("generateColorStory: Raw usage guide response", { 
-          rawLength: raw.length,
-          rawPreview: raw.substring(0, 200)
-        });
-        
-        const parsed = JSON.parse(raw);
-        usageGuide = USAGE_GUIDE.parse(parsed);
-        
-        logger.info("generateColorStory: Usage guide parsed successfully", { 
-          itemCount: usageGuide.length 
-        });
-      } catch (ugError) {
-        logger.error("generateColorStory: Usage guide generation failed", { 
-          error: ugError.message 
-        });
-        usageGuide = [];
-      }
-      await docRef.set({ usageGuide }, { merge: true });
-      logger.info("generateColorStory: Usage guide saved to Firestore");
-
-      // 3) Generate Hero Image using Genkit/Gemini Flash 2.5
-      await writeProgress(docRef, "processing", 0.7, "Rendering hero image…");
-      
-      const hexes = norm.hexes || [];
-      const heroPrompt = `Ultra-realistic interior photograph of a ${safeRoom} in ${safeStyle} style.
-Natural daylight, clean staging, wide angle (~24mm), f/4.
-Palette applied subtly on appropriate surfaces: ${hexes.join(", ")}.
-Mood: ${safeVibeWords.join(", ")}.
-No people, no text, no logos. 1600x900 composition.`;
-
-      logger.info("generateColorStory: Generating hero image", { 
-        hexesCount: hexes.length,
-        promptLength: heroPrompt.length 
-      });
-      
-      let heroImageUrl = null;
-      try {
-        const imgRes = await generate({ 
-          model: "models/gemini-flash-2.5", 
-          input: [{ text: heroPrompt }] 
-        });
-        
-        logger.info("generateColorStory: Gemini image response", { 
-          hasOutput: !!imgRes?.output,
-          outputLength: imgRes?.output?.length || 0
-        });
-        
-        const inline = imgRes?.output?.[0]?.content?.find(p => p?.inlineData)?.inlineData;
-        const b64 = inline?.data || imgRes?.output?.[0]?.content?.[0]?.image?.data;
-        
-        if (b64) {
-          const bytes = Buffer.from(b64, "base64");
-          heroImageUrl = await uploadBuffer(`color_stories/heroes/${docRef.id}.jpg`, bytes, "image/jpeg");
-          logger.info("generateColorStory: Hero image uploaded successfully", { heroImageUrl });
-          
-          await docRef.set({
-            heroImageUrl, heroPrompt,
-            heroImageAttribution: { 
-              provider: "Google", 
-              model: "Gemini Flash 2.5", 
-              seed: inline?.mimeType || null 
-            }
-          }, { merge: true });
-        } else {
-          throw new Error("No image data received from Gemini");
-        }
-      } catch (heroError) {
-        logger.warn("generateColorStory: Hero image generation failed, using fallback", { 
-          error: heroError.message 
-        });
-        
-        const svg = gradientHeroSvg(hexes);
-        heroImageUrl = await uploadBuffer(`color_stories/heroes/${docRef.id}.svg`, svg, "image/svg+xml");
-        await docRef.set({ 
-          heroImageUrl, 
-          heroPrompt, 
-          heroImageAttribution: { provider: "fallback", model: "gradient" } 
-        }, { merge: true });
-        
-        logger.info("generateColorStory: Fallback hero image created", { heroImageUrl });
-      }
-
-      // 4) Generate Audio using Google Cloud TTS
-      await writeProgress(docRef, "processing", 0.9, "Mixing audio…");
-      
-      logger.info("generateColorStory: Generating audio", { 
-        narrationLength: narration.length 
-      });
-      
-      const [tts] = await ttsClient.synthesizeSpeech({
-        input: { text: narration || "This color story is ready for you." },
-        voice: { languageCode: "en-US", name: "en-US-Neural2-C" },
-        audioConfig: { audioEncoding: "MP3" }
-      });
-      
-      const audioUrl = await uploadBuffer(`color_stories/audio/${docRef.id}.mp3`, tts.audioContent, "audio/mpeg");
-      await docRef.set({ 
-        audioUrl, 
-        audioAttribution: { provider: "Google Cloud TTS", voice: "en-US-Neural2-C" } 
-      }, { merge: true });
-      
-      logger.info("generateColorStory: Audio generated successfully", { audioUrl });
-
-      await writeProgress(docRef, "complete", 1.0, "Story ready");
-      logger.info("generateColorStory: COMPLETE - returning storyId", { storyId: docRef.id });
+      // Narration → usage guide → hero → audio run in the background (see src/pipeline/queue.js)
+      const jobId = await enqueueStoryJob(docRef.id, { ownerId: uid });
+      logger.info("generateColorStory: Job enqueued - returning storyId", { storyId: docRef.id, jobId });
       
       // ✅ Return success with correct storyId format
-      const response = { storyId: docRef.id };
+      const response = { storyId: docRef.id, usage };
       logger.info("generateColorStory: Final response", { response });
       return response;
 
     } catch (generationError) {
-      logger.error("generateColorStory: Generation pipeline error", { 
+      logger.error("generateColorStory: Failed to enqueue generation", { 
         error: generationError.message,
         stack: generationError.stack,
         docId: docRef?.id
@@ -422,11 +217,15 @@ No people, no text, no logos. 1600x900 composition.`;
           logger.error("generateColorStory: Failed to write error progress", { error: progressError.message });
         }
       }
+      // Nothing was generated, so the call doesn't count
+      await refundQuota(uid, { action: "generateColorStory" });
       
       throw new functions.https.HttpsError("internal", generationError?.message || "Color story generation failed");
     }
 
   } catch (outerError) {
+    // Free the requestId so the client can retry the failed call
+    await claim?.release();
     logger.error("generateColorStory: Top-level error", { 
       error: outerError.message,
       stack: outerError.stack,
@@ -448,19 +247,47 @@ No people, no text, no logos. 1600x900 composition.`;
 });
 
 export const generateColorStoryVariant = onCall({ region: "us-central1" }, async (req) => {
+  let claim = null;
   try {
     const uid = req.auth?.uid;
     if (!uid) throw new functions.https.HttpsError("unauthenticated","Login required.");
-    const { storyId, emphasis = "", vibeTweaks = [] } = req.data;
+    const { storyId, requestId, ...requested } = parseInput(VariantInput, req.data, "generateColorStoryVariant");
+    const { emphasis, vibeTweaks, swaps } = sanitizeVariantInput(requested);
     const parentSnap = await db.collection("colorStories").doc(storyId).get();
     if (!parentSnap.exists) throw new functions.https.HttpsError("not-found", "Story not found.");
     const p = parentSnap.data();
     
-    // ✅ Validate ownership of parent story
-    requireOwner(req, p);
+    // ✅ Anyone who can read the parent may branch it; the variant is theirs
+    requireStoryRole(req, p, "viewer");
+    checkStoryInputs(p);
+    if (requestId) {
+      claim = await claimRequest(uid, "generateColorStoryVariant", requestId, { storyId, emphasis, vibeTweaks, swaps });
+      if (claim.duplicate) return { success: true, ...(await duplicateResult(claim.storyId)), usage: await getUsage(uid) };
+    }
+
+    // ✅ Same story inputs as the parent, its palette with any swaps applied, and the new emphasis
+    const brandHints = p.brandHints || [];
+    const { palette, paletteSwaps } = variantPalette(p, swaps, { brandHints });
+    const usage = await consumeQuota(uid, { action: "generateColorStoryVariant" });
+
+    const variant = {
+      name: p.name || palette.name,
+      room: p.room,
+      style: p.style,
+      ...(p.roomId ? { roomId: p.roomId } : {}),
+      ...(p.styleId ? { styleId: p.styleId } : {}),
+      vibeWords: [...(p.vibeWords || []), emphasis, ...vibeTweaks].filter(Boolean),
+      brandHints,
+      palette,
+      paletteSwaps,
+      emphasis,
+      usageGuideMode: p.usageGuideMode || "ai",
+      ...(await resolveAudioOptions({}, { uid, story: p })),
+    };
 
-    const docRef = db.collection("colorStories").doc();
+    const docRef = claim ? db.collection("colorStories").doc(claim.storyId) : db.collection("colorStories").doc();
     await docRef.set({
+      id: docRef.id,
       ownerId: uid,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -468,94 +295,23 @@ export const generateColorStoryVariant = onCall({ region: "us-central1" }, async
       status: "processing",
       progress: 0.1,
       progressMessage: "Starting…",
-      sourcePaletteId: p.sourcePaletteId,
-      variantOf: storyId,
-      room: p.room, style: p.style, vibeWords: [...(p.vibeWords || []), emphasis, ...vibeTweaks]
+      sourcePaletteId: p.sourcePaletteId ?? null,
+      ...lineageFields(storyId, p),
+      ...variant,
+      ...assignPromptVersions(uid),
     }, { merge: true });
 
     try {
-      // Re-run the same pipeline but reusing parent's palette hexes:
-      const palette = { id: p.sourcePaletteId, hexes: (p.usageGuide || []).map(u => u.hex) };
-      const room = p.room;
-      const style = p.style;
-      const vibeWords = [...(p.vibeWords || []), emphasis, ...vibeTweaks].filter(Boolean);
-
-      // 1) Narration with variant emphasis
-      await writeProgress(docRef, "processing", 0.3, "Writing variant narration…");
-      const narrationPrompt = `You are an interior color expert. Write 300–600 words for a ${room} in ${style} style.
-This is a VARIANT with emphasis on: ${emphasis}.
-Vibe words: ${vibeWords.join(", ")}.
-Use these paints (hex + brand/name/code if provided): ${JSON.stringify(palette.hexes)}.
-Explain role placement (main/trim/ceiling/accent/door/cabinet), finish & sheen, and simple lighting tips.
-Focus on the variant emphasis: ${emphasis}.
-Tone: warm, expert, practical.`;
-      const narrationRes = await generate({ model: "models/gemini-1.5-pro-latest", input: [{ text: narrationPrompt }] });
-      const narration = narrationRes?.output?.[0]?.content?.[0]?.text ?? "";
-      await docRef.set({ narration, modelAttribution: { provider: "Google", model: "Gemini 1.5 Pro", promptVersion: "v1-variant" } }, { merge: true });
-
-      // 2) Usage Guide (strict JSON) with variant focus
-      await writeProgress(docRef, "processing", 0.5, "Building variant usage guide…");
-      const ugPrompt = `Return STRICT JSON array (4–6 items), no prose.
-Each item keys: role, hex, name, brandName, code, surface, finishRecommendation, sheen, howToUse.
-Match room=${room}, style=${style}, emphasis="${emphasis}", vibe=${vibeWords.join(", ")} and provided palette.
-Roles should include main, trim, ceiling, accent and add door/cabinet if present.
-Focus on variant emphasis: ${emphasis}.`;
-      let usageGuide = [];
-      try {
-        const ugRes = await generate({ model: "models/gemini-1.5-pro-latest", input: [{ text: ugPrompt }] });
-        const raw = ugRes?.output?.[0]?.content?.[0]?.text ?? "[]";
-        const parsed = JSON.parse(raw);
-        usageGuide = USAGE_GUIDE.parse(parsed);
-      } catch {
-        usageGuide = [];
-      }
-      await docRef.set({ usageGuide }, { merge: true });
-
-      // 3) Hero Image (Gemini Flash 2.5) with variant emphasis and fallback gradient
-      await writeProgress(docRef, "processing", 0.7, "Rendering variant hero image…");
-      const hexes = palette.hexes || [];
-      const heroPrompt = `Ultra-realistic interior photograph of a ${room} in ${style} style.
-Variant emphasis: ${emphasis}.
-Natural daylight, clean staging, wide angle (~24mm), f/4.
-Palette applied subtly on appropriate surfaces: ${hexes.join(", ")}.
-Mood: ${vibeWords.join(", ")}.
-Special focus: ${emphasis}.
-No people, no text, no logos. 1600x900 composition.`;
-      let heroImageUrl = null;
-      try {
-        const imgRes = await generate({ model: "models/gemini-flash-2.5", input: [{ text: heroPrompt }] });
-        const inline = imgRes?.output?.[0]?.content?.find(p => p?.inlineData)?.inlineData;
-        const b64 = inline?.data || imgRes?.output?.[0]?.content?.[0]?.image?.data;
-        const bytes = Buffer.from(b64, "base64");
-        heroImageUrl = await uploadBuffer(`color_stories/heroes/${docRef.id}.jpg`, bytes, "image/jpeg");
-        await docRef.set({
-          heroImageUrl, heroPrompt,
-          heroImageAttribution: { provider: "Google", model: "Gemini Flash 2.5", seed: inline?.mimeType ?? null }
-        }, { merge: true });
-      } catch {
-        const svg = gradientHeroSvg(hexes);
-        heroImageUrl = await uploadBuffer(`color_stories/heroes/${docRef.id}.svg`, svg, "image/svg+xml");
-        await docRef.set({ heroImageUrl, heroPrompt, heroImageAttribution: { provider: "fallback", model: "gradient" } }, { merge: true });
-      }
-
-      // 4) Audio (TTS) for variant narration
-      await writeProgress(docRef, "processing", 0.9, "Mixing variant audio…");
-      const [tts] = await ttsClient.synthesizeSpeech({
-        input: { text: narration },
-        voice: { languageCode: "en-US", name: "en-US-Neural2-C" },
-        audioConfig: { audioEncoding: "MP3" }
-      });
-      const audioUrl = await uploadBuffer(`color_stories/audio/${docRef.id}.mp3`, tts.audioContent, "audio/mpeg");
-      await docRef.set({ audioUrl, audioAttribution: { provider: "Google Cloud TTS", voice: "en-US-Neural2-C" } }, { merge: true });
-
-      await writeProgress(docRef, "complete", 1.0, "Variant ready");
-      return { success: true, storyId: docRef.id };
+      await enqueueStoryJob(docRef.id, { ownerId: uid, kind: "variant", completeMessage: "Variant ready" });
+      return { success: true, storyId: docRef.id, usage };
 
     } catch (err) {
       await writeProgress(docRef, "error", 0, (err?.message ?? "Variant error"));
+      await refundQuota(uid, { action: "generateColorStoryVariant" });
       throw new functions.https.HttpsError("internal", err?.message ?? "Unknown variant error");
     }
   } catch (error) {
+    await claim?.release();
     functions.logger.error("generateColorStoryVariant error:", error);
     if (error.code) {
       throw error; // Re-throw HttpsError with proper code
@@ -567,175 +323,101 @@ No people, no text, no logos. 1600x900 composition.`;
   }
 });
 
-export const retryStoryStep = onCall({ region: "us-central1" }, async (req) => {
+// ✅ Extra narration language for an existing story (see src/pipeline/tracks.js)
+export const addAudioTrack = onCall({ region: "us-central1", timeoutSeconds: 300 }, async (req) => {
+  const uid = requireAuth(req);
+  const { storyId, ...requested } = parseInput(AudioTrackInput, req.data, "addAudioTrack");
+  const { docRef, story } = await loadStory(storyId);
+  requireStoryRole(req, story, "editor");
+  // The narration may have been edited in Firestore since generation
+  checkStoryInputs(story);
+  const options = await resolveAudioOptions(requested, { uid, story: { speakingRate: story.speakingRate } });
+  const usage = await consumeQuota(uid, { action: "addAudioTrack" });
+  const track = await createAudioTrack({ docRef, story, options });
+  return { storyId, track, usage };
+});
+
+// ✅ The whole variant tree a story belongs to, for side-by-side comparison
+export const listStoryVariants = onCall({ region: "us-central1" }, async (req) => {
+  const { storyId } = parseInput(StoryIdInput, req.data, "listStoryVariants");
+  const { story } = await loadStory(storyId);
+  requireStoryRole(req, story, "viewer");
+
+  const rootId = story.variantRootId || story.variantOf || storyId;
+  const stories = db.collection("colorStories");
+  // Variants made before lineage tracking only carry variantOf
+  const [rootSnap, treeSnap, legacySnap] = await Promise.all([
+    stories.doc(rootId).get(),
+    stories.where("variantRootId", "==", rootId).get(),
+    stories.where("variantOf", "==", rootId).get(),
+  ]);
+  const byId = new Map();
+  if (rootSnap.exists) byId.set(rootId, { id: rootId, ...rootSnap.data() });
+  for (const doc of [...treeSnap.docs, ...legacySnap.docs]) byId.set(doc.id, { id: doc.id, ...doc.data() });
+
+  const tree = buildVariantTree([...byId.values()], { rootId, uid: req.auth?.uid, requestedId: storyId });
+  return { storyId, rootId, tree };
+});
+
+export const retryStoryStep = onCall({ region: "us-central1", timeoutSeconds: 300 }, async (req) => {
   try {
     const uid = req.auth?.uid;
     if (!uid) throw new functions.https.HttpsError("unauthenticated", "Login required.");
     
-    const { storyId, step } = req.data;
-    if (!storyId || !step) {
-      throw new functions.https.HttpsError("invalid-argument", "storyId and step are required");
-    }
+    const { storyId, step, ...requested } = parseInput(RetryStepInput, req.data, "retryStoryStep");
     
     const storySnap = await db.collection("colorStories").doc(storyId).get();
     if (!storySnap.exists) {
       throw new functions.https.HttpsError("not-found", "Story not found");
     }
     
-    const story = storySnap.data();
+    let story = storySnap.data();
     
-    // ✅ Validate ownership
-    requireOwner(req, story);
+    // ✅ Owner or editor
+    requireStoryRole(req, story, "editor");
+    // Prompt fields may have been edited in Firestore since generation
+    checkStoryInputs(story);
     
     const docRef = db.collection("colorStories").doc(storyId);
     
-    // Validate step is one of: 'writing', 'usage', 'hero', 'audio'
-    const validSteps = ['writing', 'usage', 'hero', 'audio'];
-    if (!validSteps.includes(step)) {
-      throw new functions.https.HttpsError("invalid-argument", `Invalid step. Must be one of: ${validSteps.join(', ')}`);
+    if (!STEP_IDS.includes(step)) {
+      throw new functions.https.HttpsError("invalid-argument", `Invalid step. Must be one of: ${STEP_IDS.join(', ')}`);
+    }
+
+    // New language/voice/rate choices stick to the story for later steps and retries. The steps
+    // that read them run too, so narration and audio never disagree with the story's locale.
+    let steps = [step];
+    if (Object.keys(requested).length) {
+      const audioOptions = await resolveAudioOptions(requested, { uid, story });
+      const changed = Object.keys(audioOptions).filter(key => audioOptions[key] !== story[key]);
+      const affected = affectedSteps(changed);
+      steps = STEP_IDS.filter(id => id === step || affected.includes(id));
+      await docRef.set(audioOptions, { merge: true });
+      story = { ...story, ...audioOptions };
     }
-    
-    // Set status to processing with specific step progress
-    const stepProgress = {
-      'writing': 0.3,
-      'usage': 0.5,
-      'hero': 0.7,
-      'audio': 0.9
-    };
-    
-    const progressMessage = {
-      'writing': 'Retrying narration...',
-      'usage': 'Retrying usage guide...',
-      'hero': 'Retrying hero image...',
-      'audio': 'Retrying audio...'
-    };
-    
-    await writeProgress(docRef, "processing", stepProgress[step], progressMessage[step]);
     
     try {
-      const room = story.room || "living room";
-      const style = story.style || "modern";
-      const vibeWords = story.vibeWords || [];
-      const brandHints = story.brandHints || [];
-      const palette = story.palette || { hexes: [] };
-      const hexes = palette.hexes || [];
-      
-      if (step === 'writing') {
-        // Retry narration generation
-        const narrationPrompt = `You are an interior color expert. Write 300–600 words for a ${room} in ${style} style.
-Vibe words: ${vibeWords.join(", ")}.
-Brand hints: ${brandHints.join(", ")}.
-Use these paints (hex + brand/name/code if provided): ${JSON.stringify(hexes)}.
-Explain role placement (main/trim/ceiling/accent/door/cabinet), finish & sheen, and simple lighting tips.
-Tone: warm, expert, practical.`;
-
-        const narrationRes = await generate({ 
-          model: "models/gemini-1.5-pro-latest", 
-          input: [{ text: narrationPrompt }] 
-        });
-        
-        const narration = narrationRes?.output?.[0]?.content?.[0]?.text || "";
-        await docRef.set({ 
-          narration, 
-          modelAttribution: { 
-            provider: "Google", 
-            model: "Gemini 1.5 Pro", 
-            promptVersion: "v1-retry" 
-          } 
-        }, { merge: true });
-        
-      } else if (step === 'usage') {
-        // Retry usage guide generation
-        const ugPrompt = `Return STRICT JSON array (4–6 items), no prose.
-Each item keys: role, hex, name, brandName, code, surface, finishRecommendation, sheen, howToUse.
-Match room=${room}, style=${style}, vibe=${vibeWords.join(", ")}, brands=${brandHints.join(", ")} and provided palette.
-Roles should include main, trim, ceiling, accent and add door/cabinet if present.`;
-
-        let usageGuide = [];
-        try {
-          const ugRes = await generate({ 
-            model: "models/gemini-1.5-pro-latest", 
-            input: [{ text: ugPrompt }] 
-          });
-          const raw = ugRes?.output?.[0]?.content?.[0]?.text || "[]";
-          const parsed = JSON.parse(raw);
-          usageGuide = USAGE_GUIDE.parse(parsed);
-        } catch (ugError) {
-          logger.error("retryStoryStep: Usage guide retry failed", { error: ugError.message });
-          usageGuide = [];
-        }
-        await docRef.set({ usageGuide }, { merge: true });
-        
-      } else if (step === 'hero') {
-        // Retry hero image generation
-        const heroPrompt = `Ultra-realistic interior photograph of a ${room} in ${style} style.
-Natural daylight, clean staging, wide angle (~24mm), f/4.
-Palette applied subtly on appropriate surfaces: ${hexes.join(", ")}.
-Mood: ${vibeWords.join(", ")}.
-No people, no text, no logos. 1600x900 composition.`;
-
-        let heroImageUrl = null;
-        try {
-          const imgRes = await generate({ 
-            model: "models/gemini-flash-2.5", 
-            input: [{ text: heroPrompt }] 
-          });
-          
-          const inline = imgRes?.output?.[0]?.content?.find(p => p?.inlineData)?.inlineData;
-          const b64 = inline?.data || imgRes?.output?.[0]?.content?.[0]?.image?.data;
-          
-          if (b64) {
-            const bytes = Buffer.from(b64, "base64");
-            heroImageUrl = await uploadBuffer(`color_stories/heroes/${storyId}.jpg`, bytes, "image/jpeg");
-            await docRef.set({
-              heroImageUrl, heroPrompt,
-              heroImageAttribution: { 
-                provider: "Google", 
-                model: "Gemini Flash 2.5", 
-                seed: inline?.mimeType || null 
-              }
-            }, { merge: true });
-          } else {
-            throw new Error("No image data received from Gemini");
-          }
-        } catch (heroError) {
-          logger.warn("retryStoryStep: Hero retry failed, using fallback", { error: heroError.message });
-          const svg = gradientHeroSvg(hexes);
-          heroImageUrl = await uploadBuffer(`color_stories/heroes/${storyId}.svg`, svg, "image/svg+xml");
-          await docRef.set({ 
-            heroImageUrl, 
-            heroPrompt, 
-            heroImageAttribution: { provider: "fallback", model: "gradient" } 
-          }, { merge: true });
-        }
-        
-      } else if (step === 'audio') {
-        // Retry audio generation
-        const narration = story.narration || "This color story is ready for you.";
-        const [tts] = await ttsClient.synthesizeSpeech({
-          input: { text: narration },
-          voice: { languageCode: "en-US", name: "en-US-Neural2-C" },
-          audioConfig: { audioEncoding: "MP3" }
-        });
-        
-        const audioUrl = await uploadBuffer(`color_stories/audio/${storyId}.mp3`, tts.audioContent, "audio/mpeg");
-        await docRef.set({ 
-          audioUrl, 
-          audioAttribution: { provider: "Google Cloud TTS", voice: "en-US-Neural2-C" } 
-        }, { merge: true });
-      }
+      await runPipeline({
+        docRef,
+        story: storyInputs(story),
+        steps,
+        mode: "retry",
+      });
       
-      // Mark step as complete - don't change overall status unless this was the final step
+      // Mark step as complete - restore the overall status the retry started from
       const currentStatus = story.status;
-      if (currentStatus !== 'complete') {
-        await writeProgress(docRef, currentStatus, stepProgress[step] + 0.05, `${step} step completed`);
+      if (currentStatus === 'complete') {
+        await writeProgress(docRef, "complete", 1.0, "Story ready");
+      } else {
+        await writeProgress(docRef, currentStatus, stepProgress(steps[steps.length - 1]) + 0.05, `${step} step completed`);
       }
       
-      logger.info(`retryStoryStep: Successfully retried ${step} for story ${storyId}`);
+      logger.info(`retryStoryStep: Successfully retried ${steps.join(", ")} for story ${storyId}`);
       
       return { 
         success: true, 
         step, 
+        steps,
         message: `${step} step completed successfully` 
       };
       
@@ -746,7 +428,7 @@ No people, no text, no logos. 1600x900 composition.`;
         step
       });
       
-      await writeProgress(docRef, "error", stepProgress[step], `${step} retry failed: ${retryError.message}`);
+      await writeProgress(docRef, "error", stepProgress(step), `${step} retry failed: ${retryError.message}`);
       throw new functions.https.HttpsError("internal", `${step} retry failed: ${retryError.message}`);
     }
     
@@ -759,4 +441,418 @@ No people, no text, no logos. 1600x900 composition.`;
   }
 });
 
-export { USAGE_GUIDE, uploadBuffer, gradientHeroSvg, writeProgress, db, ttsClient, generate, admin, functions };
\ No newline at end of file
+// ✅ Stop an in-flight story: the job stops at the next step boundary (src/pipeline/queue.js)
+export const cancelStory = onCall({ region: "us-central1" }, async (req) => {
+  const uid = requireAuth(req);
+  const { storyId } = parseInput(StoryIdInput, req.data, "cancelStory");
+  const { story } = await loadStory(storyId);
+  requireStoryRole(req, story, "editor");
+  const cancel = story.status === "processing" && story.jobId ? await cancelStoryJob(story.jobId, { by: uid }) : null;
+  if (!cancel) {
+    throw new functions.https.HttpsError("failed-precondition", "Only a story that is still generating can be cancelled");
+  }
+  // "cancelling" while a step finishes; the story moves to "cancelled" before the next one
+  return { storyId, status: cancel.state };
+});
+
+// ✅ Change room, style or vibe words and re-run only the steps that read them
+export const regenerateStory = onCall({ region: "us-central1" }, async (req) => {
+  const uid = requireAuth(req);
+  const { storyId, ...requested } = parseInput(RegenerateStoryInput, req.data, "regenerateStory");
+  const { docRef, story } = await loadStory(storyId);
+  requireStoryRole(req, story, "editor");
+
+  const changes = sanitizeStoryChanges(requested);
+  // roomId and styleId go with room and style
+  const changed = ["room", "style", "vibeWords"].filter(field => field in changes && JSON.stringify(changes[field]) !== JSON.stringify(story[field]));
+  if (!changed.length) {
+    throw new functions.https.HttpsError("invalid-argument", "Nothing to regenerate: room, style and vibe words are unchanged");
+  }
+  checkStoryInputs({ ...story, ...changes });
+  const usage = await consumeQuota(uid, { action: "regenerateStory" });
+
+  // A story still generating stops its job; steps that job hadn't finished run in the new one
+  const superseded = story.status === "processing" && story.jobId
+    ? await cancelStoryJob(story.jobId, { by: uid, reason: "superseded" })
+    : null;
+  const affected = affectedSteps(changed);
+  const steps = STEP_IDS.filter(id => affected.includes(id) || superseded?.pendingSteps.includes(id));
+
+  await docRef.set({
+    ...changes,
+    lastRegeneration: { changed, steps, by: uid, at: admin.firestore.FieldValue.serverTimestamp() },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  let jobId;
+  try {
+    jobId = await enqueueStoryJob(storyId, {
+      ownerId: story.ownerId, kind: "regenerate", steps, completeMessage: "Story updated",
+    });
+  } catch (err) {
+    await refundQuota(uid, { action: "regenerateStory" });
+    throw err;
+  }
+  logger.info("regenerateStory: Job enqueued", { storyId, jobId, changed, steps });
+  return { storyId, jobId, changed, steps, usage };
+});
+
+// ✅ Deleting a story; cleanupDeletedStory removes its assets (src/cleanup.js)
+export const deleteStory = onCall({ region: "us-central1" }, async (req) => {
+  const uid = requireAuth(req);
+  const { storyId } = parseInput(StoryIdInput, req.data, "deleteStory");
+  const { docRef, story } = await loadStory(storyId);
+  if (story.ownerId !== uid && !(await isAdmin(uid))) {
+    throw new functions.https.HttpsError("permission-denied", "Not your story");
+  }
+  await docRef.delete();
+  logger.info("deleteStory: Story deleted", { storyId, uid });
+  return { storyId, deleted: true };
+});
+
+// Also runs for deletes from the app or the console, which firestore.rules allow owners and admins
+export const cleanupDeletedStory = onDocumentDeleted(
+  { document: "colorStories/{storyId}", region: "us-central1", retry: true },
+  async (event) => {
+    const { storyId } = event.params;
+    const result = await cleanupStory(storyId, event.data?.data() || {});
+    logger.info("cleanupDeletedStory: Cleaned up", { storyId, ...result });
+  }
+);
+
+// Hourly: stories stuck in "processing" become errors; files of deleted stories and expired
+// data exports are removed
+export const sweepStories = onSchedule(
+  { schedule: "every 60 minutes", region: "us-central1", timeoutSeconds: 540, memory: "512MiB" },
+  async () => {
+    const stuck = await sweepStuckStories();
+    const { scanned, deleted } = await sweepOrphanedAssets();
+    const exports = await sweepExpiredExports();
+    logger.info("sweepStories: Done", {
+      stuck: stuck.length, scannedFiles: scanned, deletedFiles: deleted.length, expiredExports: exports.length,
+    });
+  }
+);
+
+// ✅ The user's own data: a ZIP export, and account deletion (src/account_data.js)
+export const exportMyData = onCall({ region: "us-central1", timeoutSeconds: 300, memory: "512MiB" }, async (req) => {
+  const uid = requireAuth(req);
+  const { includeMedia } = parseInput(ExportMyDataInput, req.data, "exportMyData");
+  return exportUserData(uid, { includeMedia });
+});
+
+export const deleteMyAccount = onCall({ region: "us-central1", timeoutSeconds: 540, memory: "512MiB" }, async (req) => {
+  const uid = requireAuth(req);
+  parseInput(DeleteAccountInput, req.data, "deleteMyAccount");
+  const signedInAt = (req.auth.token?.auth_time || 0) * 1000;
+  if (Date.now() - signedInAt > RECENT_SIGN_IN_MS) {
+    throw new functions.https.HttpsError(
+      "failed-precondition", "Sign in again to delete your account.", { reason: "requires-recent-login" }
+    );
+  }
+
+  const { auditId, counts } = await eraseAccount(uid, { trigger: "callable" });
+  // cleanupDeletedUser fires for this too and finds the audit record completed
+  await admin.auth().deleteUser(uid).catch(err => {
+    if (err.code !== "auth/user-not-found") throw err;
+  });
+  await db.collection(DELETIONS_COLLECTION).doc(auditId).set({ authUserDeleted: true }, { merge: true });
+  logger.info("deleteMyAccount: Account deleted", { auditId });
+  return { deleted: true, auditId, counts };
+});
+
+// Accounts deleted from the app (user.delete()) or the console; Functions v2 has no auth triggers
+export const cleanupDeletedUser = functionsV1.auth.user().onDelete(async (user) => {
+  const { auditId, alreadyDeleted } = await eraseAccount(user.uid, { trigger: "auth" });
+  await db.collection(DELETIONS_COLLECTION).doc(auditId).set({ authUserDeleted: true }, { merge: true });
+  logger.info("cleanupDeletedUser: Done", { auditId, alreadyDeleted });
+});
+
+// ✅ Generation quotas (src/quota.js)
+export const getMyUsage = onCall({ region: "us-central1" }, async (req) => {
+  return { usage: await getUsage(requireAuth(req)) };
+});
+
+export const setUserQuota = onCall({ region: "us-central1" }, async (req) => {
+  await requireAdmin(req);
+  const { uid, ...limits } = parseInput(UserQuotaInput, req.data, "setUserQuota");
+  return { uid, usage: await setLimits(uid, limits) };
+});
+
+// ✅ AI cost report from the usage ledger (admins only)
+export const getUsageReport = onCall({ region: "us-central1" }, async (req) => {
+  await requireAdmin(req);
+  const query = parseInput(UsageReportInput, req.data, "getUsageReport");
+  return aggregateUsage(query);
+});
+
+// ✅ Visibility and sharing (model documented in src/sharing.js)
+async function loadStory(storyId) {
+  const docRef = db.collection("colorStories").doc(storyId);
+  const snap = await docRef.get();
+  if (!snap.exists) throw new functions.https.HttpsError("not-found", "Story not found");
+  return { docRef, story: snap.data() };
+}
+
+async function resolveShareUser({ uid, email }) {
+  try {
+    const user = uid ? await admin.auth().getUser(uid) : await admin.auth().getUserByEmail(email);
+    return { uid: user.uid, email: user.email || null };
+  } catch (err) {
+    if (err.code === "auth/user-not-found") {
+      throw new functions.https.HttpsError("not-found", `No user found for ${uid || email}`);
+    }
+    throw err;
+  }
+}
+
+export const setStoryVisibility = onCall({ region: "us-central1" }, async (req) => {
+  const { storyId, access } = parseInput(StoryVisibilityInput, req.data, "setStoryVisibility");
+  const { docRef, story } = await loadStory(storyId);
+  requireOwner(req, story);
+  // syncStoryMediaAccess republishes or re-signs the media once this lands
+  await docRef.set({ access, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  return { storyId, access };
+});
+
+export const shareStory = onCall({ region: "us-central1" }, async (req) => {
+  const { storyId, role, ...target } = parseInput(ShareStoryInput, req.data, "shareStory");
+  const { docRef, story } = await loadStory(storyId);
+  requireOwner(req, story);
+  const user = await resolveShareUser(target);
+  if (user.uid === story.ownerId) {
+    throw new functions.https.HttpsError("invalid-argument", "The owner already has full access");
+  }
+  await docRef.set({
+    shares: { [user.uid]: { role, email: user.email, sharedAt: admin.firestore.FieldValue.serverTimestamp() } },
+    sharedWith: admin.firestore.FieldValue.arrayUnion(user.uid),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  logger.info("sharing: Story shared", { storyId, uid: user.uid, role });
+  return { storyId, uid: user.uid, email: user.email, role };
+});
+
+// Owners revoke anyone; a shared user may remove themselves
+export const revokeStoryShare = onCall({ region: "us-central1" }, async (req) => {
+  const { storyId, ...target } = parseInput(RevokeShareInput, req.data, "revokeStoryShare");
+  const uid = requireAuth(req);
+  const { docRef, story } = await loadStory(storyId);
+  const targetUid = target.uid || (await resolveShareUser(target)).uid;
+  if (targetUid !== uid) requireOwner(req, story);
+  if (!story.shares?.[targetUid]) return { storyId, uid: targetUid, revoked: false };
+
+  await docRef.update({
+    [`shares.${targetUid}`]: admin.firestore.FieldValue.delete(),
+    sharedWith: admin.firestore.FieldValue.arrayRemove(targetUid),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  logger.info("sharing: Share revoked", { storyId, uid: targetUid });
+  return { storyId, uid: targetUid, revoked: true };
+});
+
+// ✅ Story media: public stories have permanent URLs, others get short-lived signed URLs
+export const getStoryMedia = onCall({ region: "us-central1" }, async (req) => {
+  const { storyId } = parseInput(StoryIdInput, req.data, "getStoryMedia");
+  const { story } = await loadStory(storyId);
+  requireStoryRole(req, story, "viewer");
+  const { mediaUrlsExpireAt, ...urls } = await storyMediaUrls(storyId, story);
+  return { storyId, ...urls, expiresAt: mediaUrlsExpireAt ? mediaUrlsExpireAt.toISOString() : null };
+});
+
+// Re-publish or re-sign media whenever a story's access changes
+export const syncStoryMediaAccess = onDocumentUpdated(
+  { document: "colorStories/{storyId}", region: "us-central1" },
+  async (event) => {
+    const before = event.data?.before?.data();
+    const after = event.data?.after?.data();
+    if (!before || !after || (before.access || "private") === (after.access || "private")) return;
+
+    const patch = await syncMediaAccess(event.params.storyId, after);
+    if (!Object.keys(patch).length) return;
+    await event.data.after.ref.set(patch, { merge: true });
+    logger.info("media: Access synced", { storyId: event.params.storyId, access: after.access });
+  }
+);
+
+// ✅ Exports: printable PDF spec sheet and, for public stories, a share page (src/story_export.js)
+export const exportStory = onCall({ region: "us-central1", timeoutSeconds: 120, memory: "512MiB" }, async (req) => {
+  const { storyId, formats } = parseInput(ExportStoryInput, req.data, "exportStory");
+  const { docRef, story } = await loadStory(storyId);
+  requireStoryRole(req, story, "viewer");
+  const { mediaUrlsExpireAt, ...urls } = await writeStoryExports({ docRef, story, formats });
+  return { storyId, ...urls, expiresAt: mediaUrlsExpireAt ? mediaUrlsExpireAt.toISOString() : null };
+});
+
+// Hosting rewrites /stories/** here (firebase.json); only public stories have a page
+export const storyPage = onRequest({ region: "us-central1" }, async (req, res) => {
+  const notFound = () => res.status(404).set("Cache-Control", "public, max-age=60").send("<!DOCTYPE html><title>Not found</title><p>This story isn't available.</p>");
+  let storyId;
+  try {
+    storyId = decodeURIComponent(req.path.split("/")[2] || "");
+  } catch {
+    return notFound(); // malformed % escape
+  }
+  if (!/^[A-Za-z0-9_-]{1,128}$/.test(storyId)) return notFound();
+
+  const snap = await db.collection("colorStories").doc(storyId).get();
+  const story = snap.exists ? snap.data() : null;
+  if (!story || !isPublicAccess(story.access)) return notFound();
+
+  let html = null;
+  try {
+    html = (await downloadBuffer(storyPagePath(storyId))).toString("utf8");
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+  // Never exported (or removed): render it now
+  html = html || await storyPageHtml(storyId, story);
+  res.set("Cache-Control", "public, max-age=300, s-maxage=3600").type("html").send(html);
+});
+
+// ✅ Paint catalog (assets/documents brand files)
+export const searchPaints = onCall({ region: "us-central1" }, async (req) => {
+  const { query, brands, limit } = parseInput(SearchPaintsInput, req.data, "searchPaints");
+  return { paints: searchCatalog(query, { brands: resolveBrands(brands), limit }) };
+});
+
+export const getPaintByHex = onCall({ region: "us-central1" }, async (req) => {
+  const { hex, brands } = parseInput(PaintByHexInput, req.data, "getPaintByHex");
+  return { paints: findByHex(hex.startsWith("#") ? hex : `#${hex}`, { brands: resolveBrands(brands) }) };
+});
+
+export const listPaintsByBrand = onCall({ region: "us-central1" }, async (req) => {
+  const { brand, limit, offset } = parseInput(BrandPaintsInput, req.data, "listPaintsByBrand");
+  const { total, paints } = listBrandPaints(brand, { limit, offset });
+  if (!total) {
+    throw new functions.https.HttpsError(
+      "not-found",
+      `Unknown brand "${brand}". Available: ${listBrands().map(b => b.brandName).join(", ")}`
+    );
+  }
+  return { brand, total, offset, paints };
+});
+
+// ✅ Nearest catalog paints per color (ΔE2000), plus the closest paint in every brand
+export const matchPaints = onCall({ region: "us-central1" }, async (req) => {
+  const { colors, brandHints, limit, crossBrand } = parseInput(MatchPaintsInput, req.data, "matchPaints");
+  const hexes = colors.map(c => (c.startsWith("#") ? c : `#${c}`));
+  return { matches: matchCatalog(hexes, { brandHints, limit, crossBrand }) };
+});
+
+// ✅ Seeded palette roller; the result can be passed as generateColorStory's `palette`
+export const generatePalette = onCall({ region: "us-central1" }, async (req) => {
+  const { size, mode, locked, brands, diversifyBrands, seed, name } = parseInput(GeneratePaletteInput, req.data, "generatePalette");
+  const withHash = hex => (hex.startsWith("#") ? hex : `#${hex}`);
+  const anchors = locked.map(l => (!l ? null : typeof l === "string" ? withHash(l) : { ...l, hex: withHash(l.hex) }));
+  const brandKeys = resolveBrands(brands);
+  if (brands.length && !brandKeys.length) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      `Unknown brands: ${brands.join(", ")}. Available: ${listBrands().map(b => b.brandName).join(", ")}`
+    );
+  }
+
+  const result = rollPalette({ size, mode, locked: anchors, brands: brandKeys, diversifyBrands, seed });
+  if (!result.items.length) throw new functions.https.HttpsError("failed-precondition", "Paint catalog is empty");
+  return {
+    palette: { name: name || `${mode[0].toUpperCase()}${mode.slice(1)} palette`, items: result.items },
+    seed: result.seed,
+    mode,
+  };
+});
+
+// ✅ Palette files: ASE, GPL, Procreate .swatches, CSS variables and JSON (src/palette_formats)
+export const importPalette = onCall({ region: "us-central1" }, async (req) => {
+  const uid = requireAuth(req);
+  const { format, data, encoding, name, brandHints } = parseInput(ImportPaletteInput, req.data, "importPalette");
+  const palettes = parsePaletteFile(format, data, { encoding, fallbackName: name });
+
+  const batch = db.batch();
+  const created = palettes.map((palette, i) => {
+    const docRef = db.collection("palettes").doc();
+    const colors = paletteDocColors(matchImportedColors(palette.colors, { brandHints }));
+    // A name passed by the caller wins for single-palette files
+    const paletteName = (palettes.length === 1 && name) || palette.name || `Imported palette ${i + 1}`;
+    batch.set(docRef, {
+      userId: uid,
+      name: paletteName,
+      colors,
+      tags: ["imported"],
+      notes: "",
+      importedFrom: { format },
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { paletteId: docRef.id, name: paletteName, colors };
+  });
+  await batch.commit();
+  logger.info("importPalette: Palettes created", { uid, format, count: created.length });
+  return { palettes: created };
+});
+
+export const exportPalette = onCall({ region: "us-central1" }, async (req) => {
+  const { format, paletteId, storyId } = parseInput(ExportPaletteInput, req.data, "exportPalette");
+  let palette;
+  if (paletteId) {
+    const uid = requireAuth(req);
+    const snap = await db.collection("palettes").doc(paletteId).get();
+    if (!snap.exists) throw new functions.https.HttpsError("not-found", "Palette not found");
+    if (snap.data().userId !== uid && !(await isAdmin(uid))) {
+      throw new functions.https.HttpsError("permission-denied", "Not your palette");
+    }
+    palette = paletteFromDoc(snap.data());
+  } else {
+    const { story } = await loadStory(storyId);
+    requireStoryRole(req, story, "viewer");
+    palette = paletteFromStory(story);
+  }
+  const source = paletteId ? { type: "palette", id: paletteId } : { type: "story", id: storyId };
+  const file = serializePalette(format, palette, { source });
+  return { fileName: file.fileName, mimeType: file.mimeType, encoding: "base64", data: file.data.toString("base64") };
+});
+
+// ✅ LRV, contrast, undertones, harmony and role warnings for a palette or an existing story
+export const analyzePalette = onCall({ region: "us-central1" }, async (req) => {
+  const { colors, room, storyId } = parseInput(AnalyzePaletteInput, req.data, "analyzePalette");
+  if (!storyId) {
+    return { analysis: analyzeHexes(colors.map(c => (c.startsWith("#") ? c : `#${c}`)), { room }) };
+  }
+
+  requireAuth(req);
+  const docRef = db.collection("colorStories").doc(storyId);
+  const snap = await docRef.get();
+  if (!snap.exists) throw new functions.https.HttpsError("not-found", "Story not found");
+  const story = snap.data();
+  requireStoryRole(req, story, "editor");
+
+  const analysis = analyzeHexes(storyInputs(story).palette.items?.map(i => i.hex) || story.palette?.hexes || [], {
+    room: room || story.roomId || story.room,
+  });
+  await docRef.set({ paletteAnalysis: analysis, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+  return { analysis };
+});
+
+// ✅ Background story jobs: Firestore trigger starts a job, the task queue runs it step by step
+export const dispatchStoryJob = onDocumentCreated(
+  { document: `${JOBS_COLLECTION}/{jobId}`, region: "us-central1", retry: true },
+  async (event) => {
+    const job = event.data?.data();
+    if (!job || job.state !== "queued") return;
+    logger.info("dispatchStoryJob: Dispatching first step", { jobId: event.params.jobId, storyId: job.storyId });
+    await dispatchStep(event.params.jobId, 0);
+  }
+);
+
+export const runStoryJob = onTaskDispatched(
+  {
+    region: "us-central1",
+    retryConfig: JOB_RETRY_CONFIG,
+    rateLimits: { maxConcurrentDispatches: 10 },
+    timeoutSeconds: 300,
+    memory: "512MiB",
+  },
+  async (req) => {
+    await processJobStep(req.data, req.retryCount || 0);
+  }
+);
+
+export { USAGE_GUIDE, uploadBuffer, renderHeroPng, writeProgress, runPipeline, db, getProvider, admin, functions };
\ No newline at end of file
@@ -0,0 +1,250 @@
+import crypto from "node:crypto";
+import { logger } from "firebase-functions";
+import { admin, db } from "./firebase.js";
+import { listFiles, deleteFile, downloadBuffer, uploadStream, signedUrl } from "./storage.js";
+import { listStoryAssets } from "./media/assets.js";
+import { zipStream } from "./media/zip.js";
+import { cleanupStory } from "./cleanup.js";
+import { JOBS_COLLECTION } from "./pipeline/queue.js";
+import { QUOTAS_COLLECTION } from "./quota.js";
+import { IDEMPOTENCY_COLLECTION } from "./idempotency.js";
+import { LEDGER_COLLECTION } from "./usage_ledger.js";
+
+// ✅ A user's own data: `exportMyData` zips it up, `deleteMyAccount` (and `cleanupDeletedUser`,
+// for accounts deleted from the app or the console) erases it. What a user owns:
+// - `users/{uid}` with its `favoriteColors` and `copiedPaints` subcollections, `userQuotas/{uid}`
+// - documents in OWNED_COLLECTIONS whose owner field is the uid
+// - the Storage assets of their stories and everything under USER_MEDIA_DIRS/{uid}/
+// Erasure also drops their shares on other people's stories, their jobs and idempotency keys,
+// and clears `uid` on their usage ledger entries (the costs stay in the reports).
+
+export const OWNED_COLLECTIONS = [
+  { name: "palettes", field: "userId" },
+  { name: "colorStories", field: "ownerId" },
+  { name: "colorStoryLikes", field: "uid" },
+  { name: "projects", field: "ownerId" },
+];
+export const USER_SUBCOLLECTIONS = ["favoriteColors", "copiedPaints"];
+
+// Client uploads (storage.rules), one folder per user
+export const USER_MEDIA_DIRS = ["user_content", "visualizer_screenshots"];
+
+export const EXPORTS_DIR = "user_exports";
+export const EXPORT_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+// Keeps exports within a callable's timeout; media beyond this is left out and listed in manifest.json
+export const EXPORT_MEDIA_LIMIT_BYTES = 300 * 1024 * 1024;
+
+export const DELETIONS_COLLECTION = "accountDeletions";
+// deleteMyAccount wants a fresh sign-in, like the client SDK's own user.delete()
+export const RECENT_SIGN_IN_MS = 5 * 60 * 1000;
+
+/** Audit records are keyed by a hash, so they don't keep the uid itself. */
+export const uidHash = uid => crypto.createHash("sha256").update(`account:${uid}`).digest("hex");
+
+// Timestamps as ISO strings, references as paths
+function jsonValue(value) {
+  if (value == null) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.path === "string" && value.firestore) return value.path;
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (Array.isArray(value)) return value.map(jsonValue);
+  if (typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, jsonValue(v)]));
+  return value;
+}
+
+const docJson = doc => ({ id: doc.id, ...jsonValue(doc.data()) });
+
+async function ownedDocs(uid) {
+  const userRef = db.collection("users").doc(uid);
+  const [profile, quota, ...lists] = await Promise.all([
+    userRef.get(),
+    db.collection(QUOTAS_COLLECTION).doc(uid).get(),
+    ...USER_SUBCOLLECTIONS.map(name => userRef.collection(name).get()),
+    ...OWNED_COLLECTIONS.map(({ name, field }) => db.collection(name).where(field, "==", uid).get()),
+  ]);
+  const names = [...USER_SUBCOLLECTIONS, ...OWNED_COLLECTIONS.map(c => c.name)];
+  return { profile, quota, collections: Object.fromEntries(names.map((name, i) => [name, lists[i].docs])) };
+}
+
+/** Storage paths the user owns: their stories' assets and their upload folders. */
+async function ownedFiles(uid, storyIds) {
+  const [assets, uploads] = await Promise.all([
+    Promise.all(storyIds.map(id => listStoryAssets(id))),
+    Promise.all(USER_MEDIA_DIRS.map(dir => listFiles(`${dir}/${uid}/`))),
+  ]);
+  return [...assets.flat(), ...uploads.flat().map(f => f.path)];
+}
+
+/**
+ * Writes a ZIP of the user's documents (one JSON file per collection) and media to
+ * `user_exports/{uid}/` and returns a signed link valid for EXPORT_LINK_TTL_MS. The ZIP is
+ * streamed to Storage, so only one media file is in memory at a time.
+ * @param {string} uid
+ * @param {{includeMedia?: boolean, now?: number}} opts
+ * @returns {Promise<{url: string, path: string, expiresAt: string, bytes: number, counts: object}>}
+ */
+export async function exportUserData(uid, { includeMedia = true, now = Date.now() } = {}) {
+  const { profile, quota, collections } = await ownedDocs(uid);
+  const counts = Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.length]));
+  const files = includeMedia ? await ownedFiles(uid, collections.colorStories.map(d => d.id)) : [];
+
+  const exportedAt = new Date(now).toISOString();
+  const path = `${EXPORTS_DIR}/${uid}/colorcanvas-${exportedAt.replace(/[:.]/g, "-")}.zip`;
+  const out = uploadStream(path, "application/zip");
+  const zip = zipStream(out, { date: new Date(now) });
+  const skipped = [];
+  let bytes;
+  try {
+    await zip.add({ name: "users.json", data: JSON.stringify(profile.exists ? docJson(profile) : null, null, 2) });
+    await zip.add({ name: "userQuotas.json", data: JSON.stringify(quota.exists ? docJson(quota) : null, null, 2) });
+    for (const [name, docs] of Object.entries(collections)) {
+      await zip.add({ name: `${name}.json`, data: JSON.stringify(docs.map(docJson), null, 2) });
+    }
+
+    let total = 0;
+    counts.media = 0;
+    for (const file of files) {
+      if (total >= EXPORT_MEDIA_LIMIT_BYTES) {
+        skipped.push(file);
+        continue;
+      }
+      let data;
+      try {
+        data = await downloadBuffer(file);
+      } catch (err) {
+        if (err.code !== 404) throw err; // removed since listing
+        continue;
+      }
+      total += data.length;
+      counts.media++;
+      // Heroes, audio and PDFs are already compressed
+      await zip.add({ name: `media/${file}`, data, compress: false });
+    }
+
+    // Last, once the counts are known
+    const manifest = { uid, exportedAt, includeMedia, counts, skippedMedia: skipped };
+    await zip.add({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+    bytes = await zip.finish();
+  } catch (err) {
+    out.destroy(err); // abandons the upload
+    throw err;
+  }
+
+  const url = await signedUrl(path, EXPORT_LINK_TTL_MS);
+  logger.info("account: Data exported", { uid, path, bytes, counts, skipped: skipped.length });
+  return { url, path, expiresAt: new Date(now + EXPORT_LINK_TTL_MS).toISOString(), bytes, counts };
+}
+
+async function deleteAll(refs) {
+  const writer = db.bulkWriter();
+  refs.forEach(ref => writer.delete(ref));
+  await writer.close();
+}
+
+// The app keeps `likeCount` on the liked story next to each like (toggleColorStoryLike). The like
+// and its count go together, and a like that's already gone is skipped, so reruns don't decrement twice.
+async function removeLike(likeRef) {
+  await db.runTransaction(async (tx) => {
+    const like = await tx.get(likeRef);
+    if (!like.exists) return;
+    const storyRef = db.collection("colorStories").doc(like.data().storyId);
+    const story = await tx.get(storyRef);
+    tx.delete(likeRef);
+    if (story.exists) tx.update(storyRef, { likeCount: admin.firestore.FieldValue.increment(-1) });
+  });
+}
+
+/**
+ * Erases everything the user owns (see the module comment). Safe to run more than once.
+ * @returns {Promise<object>} counts per collection and `files`
+ */
+export async function deleteUserData(uid) {
+  const { profile, collections } = await ownedDocs(uid);
+  const counts = Object.fromEntries(Object.entries(collections).map(([name, docs]) => [name, docs.length]));
+
+  // Stories first: their jobs stop before anything else goes, and their likes and assets go with them
+  let files = 0;
+  for (const doc of collections.colorStories) {
+    files += (await cleanupStory(doc.id, doc.data())).assets;
+  }
+  const { colorStoryLikes, ...rest } = collections;
+  await deleteAll(Object.values(rest).flat().map(doc => doc.ref));
+  for (let i = 0; i < colorStoryLikes.length; i += 20) {
+    await Promise.all(colorStoryLikes.slice(i, i + 20).map(doc => removeLike(doc.ref)));
+  }
+
+  const [shared, jobs, keys, ledger] = await Promise.all([
+    db.collection("colorStories").where("sharedWith", "array-contains", uid).get(),
+    db.collection(JOBS_COLLECTION).where("ownerId", "==", uid).get(),
+    db.collection(IDEMPOTENCY_COLLECTION).where("uid", "==", uid).get(),
+    db.collection(LEDGER_COLLECTION).where("uid", "==", uid).get(),
+  ]);
+  const writer = db.bulkWriter();
+  shared.docs.forEach(doc => writer.update(doc.ref, {
+    [`shares.${uid}`]: admin.firestore.FieldValue.delete(),
+    sharedWith: admin.firestore.FieldValue.arrayRemove(uid),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }));
+  ledger.docs.forEach(doc => writer.update(doc.ref, { uid: null }));
+  [...jobs.docs, ...keys.docs].forEach(doc => writer.delete(doc.ref));
+  writer.delete(db.collection(QUOTAS_COLLECTION).doc(uid));
+  writer.delete(db.collection("admins").doc(uid));
+  await writer.close();
+  await db.recursiveDelete(db.collection("users").doc(uid));
+
+  const uploads = (await Promise.all([...USER_MEDIA_DIRS, EXPORTS_DIR].map(dir => listFiles(`${dir}/${uid}/`)))).flat();
+  await Promise.all(uploads.map(f => deleteFile(f.path)));
+  files += uploads.length;
+
+  const result = {
+    ...counts,
+    profile: profile.exists ? 1 : 0,
+    sharesRevoked: shared.size,
+    storyJobs: jobs.size,
+    idempotencyKeys: keys.size,
+    usageLedgerAnonymized: ledger.size,
+    files,
+  };
+  logger.info("account: User data deleted", { uidHash: uidHash(uid), ...result });
+  return result;
+}
+
+/**
+ * Erases the user's data once and records it in `accountDeletions/{uidHash}`.
+ * @param {{trigger: "callable"|"auth"}} opts which entry point ran it
+ * @returns {Promise<{auditId: string, counts: object|null, alreadyDeleted: boolean}>}
+ */
+export async function eraseAccount(uid, { trigger }) {
+  const auditRef = db.collection(DELETIONS_COLLECTION).doc(uidHash(uid));
+  const claimed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(auditRef);
+    // A run that died halfway is picked up again; everything it does is idempotent
+    if (snap.exists && snap.data().status === "completed") return false;
+    tx.set(auditRef, {
+      uidHash: auditRef.id,
+      trigger,
+      status: "running",
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return true;
+  });
+  if (!claimed) return { auditId: auditRef.id, counts: null, alreadyDeleted: true };
+
+  try {
+    const counts = await deleteUserData(uid);
+    await auditRef.set({ status: "completed", counts, error: null, completedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    return { auditId: auditRef.id, counts, alreadyDeleted: false };
+  } catch (err) {
+    await auditRef.set({ status: "failed", error: err.message, failedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    throw err;
+  }
+}
+
+/** Deletes exports whose links have expired. */
+export async function sweepExpiredExports({ now = Date.now() } = {}) {
+  const expired = (await listFiles(`${EXPORTS_DIR}/`)).filter(f => f.createdAt <= now - EXPORT_LINK_TTL_MS);
+  await Promise.all(expired.map(f => deleteFile(f.path)));
+  if (expired.length) logger.info("account: Expired exports deleted", { count: expired.length });
+  return expired.map(f => f.path);
+}
@@ -0,0 +1,61 @@
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { db } from "./firebase.js";
+import { hasRole } from "./sharing.js";
+
+// ✅ Shared guards for onCall handlers
+
+export function requireAuth(req) {
+  const uid = req.auth?.uid;
+  if (!uid) throw new functions.https.HttpsError("unauthenticated", "Login required.");
+  return uid;
+}
+
+/** Admins are users with a document in `admins/{uid}` (same check as firestore.rules). */
+export async function isAdmin(uid) {
+  if (!uid) return false;
+  return (await db.collection("admins").doc(uid).get()).exists;
+}
+
+export async function requireAdmin(req) {
+  const uid = requireAuth(req);
+  if (!(await isAdmin(uid))) throw new functions.https.HttpsError("permission-denied", "Admin only.");
+  return uid;
+}
+
+// ✅ Ownership validation guard wrapper
+export function requireOwner(ctx, story) {
+  if (!ctx.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Sign in required');
+  }
+  if (story.ownerId !== ctx.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'Not your story');
+  }
+}
+
+/**
+ * Story access guard for the sharing model: "viewer" (also satisfied by public/unlisted
+ * access), "editor" or "owner". Viewers of link-readable stories may be signed out.
+ */
+export function requireStoryRole(ctx, story, role = "viewer") {
+  if (hasRole(ctx.auth?.uid, story, role)) return;
+  if (!ctx.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in required");
+  }
+  throw new functions.https.HttpsError(
+    "permission-denied",
+    role === "owner" ? "Not your story" : `You need ${role} access to this story`
+  );
+}
+
+/** zod parse that surfaces failures as `invalid-argument`. */
+export function parseInput(schema, data, label = "callable") {
+  const result = schema.safeParse(data ?? {});
+  if (!result.success) {
+    const message = result.error.issues.map(i => `${i.path.join(".") || "input"}: ${i.message}`).join("; ");
+    logger.warn(`${label}: Invalid input`, { message });
+    throw new functions.https.HttpsError("invalid-argument", `Invalid input: ${message}`);
+  }
+  return result.data;
+}
+
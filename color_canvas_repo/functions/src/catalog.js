@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { logger } from "firebase-functions";
+import { normalizeHex } from "./color/index.js";
+
+// ✅ Paint catalog: the same brand JSON files the Flutter app bundles (assets/documents).
+// Deployed copies live in functions/catalog/ (see the predeploy hook in firebase.json);
+// in a repo checkout (emulator, CI) the assets folder is read directly.
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SEARCH_DIRS = [
+  path.join(HERE, "..", "catalog"),
+  path.join(HERE, "..", "..", "assets", "documents"),
+];
+export const CATALOG_FILES = [
+  "paints_sherwin-williams_mapped.json",
+  "paints_benjamin_moore_mapped.json",
+  "behr.json",
+];
+
+const BRAND_ALIASES = {
+  "sherwin-williams": ["sherwin williams", "sherwin-williams", "sherwin", "sw"],
+  "benjamin moore": ["benjamin moore", "benjamin-moore", "benjamin", "bm"],
+  "behr": ["behr"],
+};
+
+let catalog = null;
+
+function brandKey(value) {
+  const text = String(value || "").trim().toLowerCase();
+  for (const [key, aliases] of Object.entries(BRAND_ALIASES)) {
+    if (aliases.includes(text) || key === text) return key;
+  }
+  return text;
+}
+
+export function normalizeCode(value) {
+  return String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function findFile(name) {
+  for (const dir of SEARCH_DIRS) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function buildCatalog(records) {
+  const paints = [];
+  const byId = new Map();
+  const byHex = new Map();
+  const byCode = new Map();
+  const byBrand = new Map();
+
+  for (const r of records) {
+    const hex = normalizeHex(r.hex);
+    if (!hex || !r.name || !r.brandName) continue;
+    const brand = brandKey(r.brandName);
+    const paint = {
+      id: `${brand.replace(/\s+/g, "-")}:${normalizeCode(r.code) || r.name.toLowerCase()}`,
+      brandName: r.brandName,
+      name: r.name,
+      code: r.code || "",
+      hex,
+    };
+    paints.push(paint);
+    byId.set(paint.id, paint);
+    if (!byHex.has(hex)) byHex.set(hex, []);
+    byHex.get(hex).push(paint);
+    const code = normalizeCode(r.code);
+    if (code) {
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push(paint);
+    }
+    if (!byBrand.has(brand)) byBrand.set(brand, []);
+    byBrand.get(brand).push(paint);
+  }
+  return { paints, byId, byHex, byCode, byBrand };
+}
+
+/** Loads and indexes the catalog once per instance. */
+export function getCatalog() {
+  if (catalog) return catalog;
+  const records = [];
+  for (const name of CATALOG_FILES) {
+    const file = findFile(name);
+    if (!file) {
+      logger.warn("catalog: Brand file not found", { name, searched: SEARCH_DIRS });
+      continue;
+    }
+    records.push(...JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+  catalog = buildCatalog(records);
+  logger.info("catalog: Loaded", { paints: catalog.paints.length, brands: [...catalog.byBrand.keys()] });
+  return catalog;
+}
+
+// Test hook: replace the catalog with in-memory records.
+export function setCatalogRecords(records) {
+  catalog = records ? buildCatalog(records) : null;
+}
+
+/** Brand keys for free-form hints like "SW", "Benjamin Moore". Unknown hints are dropped. */
+export function resolveBrands(hints = []) {
+  const known = getCatalog().byBrand;
+  return [...new Set(hints.map(brandKey).filter(b => known.has(b)))];
+}
+
+export function inBrands(paint, brands) {
+  return !brands?.length || brands.includes(brandKey(paint.brandName));
+}
+
+export function listBrands() {
+  return [...getCatalog().byBrand.entries()].map(([key, paints]) => ({
+    key,
+    brandName: paints[0].brandName,
+    count: paints.length,
+  }));
+}
+
+export function paintsForBrands(brands = []) {
+  const { paints, byBrand } = getCatalog();
+  if (!brands.length) return paints;
+  return brands.flatMap(b => byBrand.get(b) || []);
+}
+
+export function findById(id) {
+  return getCatalog().byId.get(id) || null;
+}
+
+/** Exact hex lookup, hinted brands first. */
+export function findByHex(hex, { brands = [] } = {}) {
+  const matches = getCatalog().byHex.get(normalizeHex(hex)) || [];
+  const preferred = matches.filter(p => inBrands(p, brands));
+  return brands.length ? preferred : matches;
+}
+
+/**
+ * Search by name or code. Exact code matches rank first, then exact name,
+ * name prefix, code prefix and name substring.
+ */
+export function searchPaints(query, { brands = [], limit = 20 } = {}) {
+  const q = String(query || "").trim().toLowerCase();
+  if (!q) return [];
+  const code = normalizeCode(q);
+  const bareCode = code.replace(/^(SW|BM)(?=\d)/, "");
+
+  const scored = [];
+  for (const paint of paintsForBrands(brands)) {
+    const name = paint.name.toLowerCase();
+    const pc = normalizeCode(paint.code);
+    let score = 0;
+    if (pc && (pc === code || pc === bareCode)) score = 100;
+    else if (name === q) score = 90;
+    else if (name.startsWith(q)) score = 70;
+    else if (pc && bareCode.length >= 2 && pc.startsWith(bareCode)) score = 60;
+    else if (name.includes(q)) score = 40;
+    if (score) scored.push({ paint, score });
+  }
+  scored.sort((a, b) => b.score - a.score || a.paint.name.localeCompare(b.paint.name));
+  return scored.slice(0, limit).map(s => s.paint);
+}
+
+export function listBrandPaints(brand, { limit = 100, offset = 0 } = {}) {
+  const paints = getCatalog().byBrand.get(brandKey(brand)) || [];
+  return { total: paints.length, paints: paints.slice(offset, offset + limit) };
+}
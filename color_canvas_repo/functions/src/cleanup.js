@@ -0,0 +1,82 @@
+import { logger } from "firebase-functions";
+import { admin, db } from "./firebase.js";
+import { listFiles, deleteFile } from "./storage.js";
+import { STORY_ASSET_DIRS, storyIdOfPath, deleteStoryAssets } from "./media/assets.js";
+import { cancelStoryJob } from "./pipeline/queue.js";
+
+// ✅ Story cleanup. `cleanupDeletedStory` (index.js) removes a deleted story's assets and likes;
+// `sweepStories` catches what slipped through: files of stories that no longer exist and
+// stories stuck in "processing".
+
+// A story untouched this long while "processing" is stuck. Jobs write progress at every
+// step attempt, and a step with all its retries stays well under this.
+export const STUCK_AFTER_MS = 30 * 60 * 1000;
+
+// Files are uploaded before the story points at them; younger files are never orphans.
+export const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Everything left behind by a deleted story: its running job, its assets and its likes.
+ * @param {string} storyId
+ * @param {object} story the deleted document's data
+ */
+export async function cleanupStory(storyId, story = {}) {
+  if (story.jobId) await cancelStoryJob(story.jobId, { reason: "deleted" });
+  const deleted = await deleteStoryAssets(storyId);
+  const likes = await db.collection("colorStoryLikes").where("storyId", "==", storyId).get();
+  const writer = db.bulkWriter();
+  likes.docs.forEach(doc => writer.delete(doc.ref));
+  await writer.close();
+  return { assets: deleted.length, likes: likes.size };
+}
+
+/**
+ * Deletes asset files whose story no longer exists.
+ * @returns {Promise<{scanned: number, deleted: string[]}>}
+ */
+export async function sweepOrphanedAssets({ now = Date.now(), graceMs = ORPHAN_GRACE_MS } = {}) {
+  const files = (await Promise.all(STORY_ASSET_DIRS.map(dir => listFiles(`${dir}/`)))).flat();
+  const byStory = new Map();
+  for (const file of files) {
+    const storyId = storyIdOfPath(file.path);
+    if (!storyId || file.createdAt > now - graceMs) continue;
+    byStory.set(storyId, [...(byStory.get(storyId) || []), file.path]);
+  }
+
+  const deleted = [];
+  const ids = [...byStory.keys()];
+  for (let i = 0; i < ids.length; i += 100) {
+    const snaps = await db.getAll(...ids.slice(i, i + 100).map(id => db.collection("colorStories").doc(id)));
+    for (const snap of snaps.filter(s => !s.exists)) deleted.push(...byStory.get(snap.id));
+  }
+  await Promise.all(deleted.map(deleteFile));
+  logger.info("cleanup: Orphan sweep", { scanned: files.length, deleted: deleted.length });
+  return { scanned: files.length, deleted };
+}
+
+/**
+ * Marks stories that have been "processing" for longer than `timeoutMs` as errored and
+ * stops their jobs.
+ * @returns {Promise<string[]>} story ids
+ */
+export async function sweepStuckStories({ now = Date.now(), timeoutMs = STUCK_AFTER_MS } = {}) {
+  const cutoff = admin.firestore.Timestamp.fromMillis(now - timeoutMs);
+  const stuck = await db.collection("colorStories")
+    .where("status", "==", "processing")
+    .where("updatedAt", "<", cutoff)
+    .limit(200)
+    .get();
+
+  for (const doc of stuck.docs) {
+    const story = doc.data();
+    if (story.jobId) await cancelStoryJob(story.jobId, { reason: "timeout" });
+    await doc.ref.set({
+      status: "error",
+      progressMessage: "Generation timed out. Please try again.",
+      timedOutAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  if (stuck.size) logger.warn("cleanup: Stuck stories marked as errored", { storyIds: stuck.docs.map(d => d.id) });
+  return stuck.docs.map(d => d.id);
+}
@@ -0,0 +1,94 @@
+// ✅ sRGB / CIE color conversions (D65 white point)
+
+const WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+export function normalizeHex(hex) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  return m ? `#${m[1].toUpperCase()}` : null;
+}
+
+export function hexToRgb(hex) {
+  const n = parseInt((normalizeHex(hex) || "#888888").slice(1), 16);
+  return [(n >> 16) & 0xff, (n >> 8) & 0xff, n & 0xff];
+}
+
+export function rgbToHex([r, g, b]) {
+  const c = v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, "0");
+  return `#${c(r)}${c(g)}${c(b)}`.toUpperCase();
+}
+
+export function srgbToLinear(v) {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+export function linearToSrgb(v) {
+  const c = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, c * 255));
+}
+
+/** WCAG relative luminance, 0 (black) – 1 (white). */
+export function relativeLuminance(hex) {
+  const [r, g, b] = hexToRgb(hex).map(srgbToLinear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** WCAG 2.x contrast ratio, 1 – 21. */
+export function contrastRatio(hexA, hexB) {
+  const a = relativeLuminance(hexA);
+  const b = relativeLuminance(hexB);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function labFInv(t) {
+  return t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+}
+
+export function hexToXyz(hex) {
+  const [r, g, b] = hexToRgb(hex).map(srgbToLinear);
+  return {
+    x: 0.4124564 * r + 0.3575761 * g + 0.1804375 * b,
+    y: 0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+    z: 0.0193339 * r + 0.1191920 * g + 0.9503041 * b,
+  };
+}
+
+export function hexToLab(hex) {
+  const { x, y, z } = hexToXyz(hex);
+  const fx = labF(x / WHITE.x);
+  const fy = labF(y / WHITE.y);
+  const fz = labF(z / WHITE.z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function labToHex({ L, a, b }) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const x = labFInv(fx) * WHITE.x;
+  const y = labFInv(fy) * WHITE.y;
+  const z = labFInv(fz) * WHITE.z;
+  const r = 3.2404542 * x - 1.5371385 * y - 0.4985314 * z;
+  const g = -0.9692660 * x + 1.8760108 * y + 0.0415560 * z;
+  const bl = 0.0556434 * x - 0.2040259 * y + 1.0572252 * z;
+  return rgbToHex([r, g, bl].map(linearToSrgb));
+}
+
+/** Lab → LCh, hue in degrees 0–360. */
+export function labToLch({ L, a, b }) {
+  const h = (Math.atan2(b, a) * 180) / Math.PI;
+  return { L, C: Math.sqrt(a * a + b * b), h: h < 0 ? h + 360 : h };
+}
+
+export function lchToLab({ L, C, h }) {
+  const rad = (h * Math.PI) / 180;
+  return { L, a: C * Math.cos(rad), b: C * Math.sin(rad) };
+}
+
+export function hexToLch(hex) {
+  return labToLch(hexToLab(hex));
+}
@@ -0,0 +1,2 @@
+export * from "./convert.js";
+export * from "./delta_e.js";
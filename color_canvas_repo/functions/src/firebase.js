@@ -0,0 +1,9 @@
+import admin from "firebase-admin";
+import { Storage } from "@google-cloud/storage";
+
+// ✅ Single initialization point shared by index.js and every src/ module
+admin.initializeApp();
+const db = admin.firestore();
+const storage = new Storage();
+
+export { admin, db, storage };
@@ -0,0 +1,82 @@
+import crypto from "node:crypto";
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { admin, db } from "./firebase.js";
+
+// ✅ Idempotent generation: clients send a `requestId`; a repeat of the same request
+// within IDEMPOTENCY_WINDOW_MS returns the story the first call created (or is still
+// creating) instead of starting another one and paying for the AI calls twice.
+// Keys live in `idempotencyKeys/{sha256(uid:action:requestId)}`; `expiresAt` carries a TTL policy.
+
+export const IDEMPOTENCY_COLLECTION = "idempotencyKeys";
+export const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const sha256 = text => crypto.createHash("sha256").update(text).digest("hex");
+
+/** Stable hash of the request parameters, so a reused requestId with other input is caught. */
+export function fingerprint(input) {
+  const canonical = value => {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+    }
+    return value;
+  };
+  return sha256(JSON.stringify(canonical(input ?? null)));
+}
+
+/**
+ * Claims `requestId` for this user and action.
+ * @returns {Promise<{storyId: string, duplicate: boolean, release: () => Promise<void>}>}
+ *   `storyId` is pre-allocated on first use, so concurrent duplicates attach to the same story.
+ *   Call `release()` if the request fails before its job is queued, so the client can retry.
+ * @throws {HttpsError} already-exists when the key was used with different parameters
+ */
+export async function claimRequest(uid, action, requestId, input) {
+  const ref = db.collection(IDEMPOTENCY_COLLECTION).doc(sha256(`${uid}:${action}:${requestId}`));
+  const print = fingerprint(input);
+  const now = Date.now();
+
+  const claim = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const existing = snap.exists ? snap.data() : null;
+    if (existing && existing.expiresAtMs > now) {
+      if (existing.fingerprint !== print) {
+        throw new functions.https.HttpsError(
+          "already-exists",
+          "requestId was already used with different parameters. Send a new requestId for a new request."
+        );
+      }
+      return { storyId: existing.storyId, duplicate: true };
+    }
+
+    const storyId = db.collection("colorStories").doc().id;
+    tx.set(ref, {
+      uid,
+      action,
+      requestId,
+      fingerprint: print,
+      storyId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAtMs: now + IDEMPOTENCY_WINDOW_MS,
+      expiresAt: new Date(now + IDEMPOTENCY_WINDOW_MS),
+    });
+    return { storyId, duplicate: false };
+  });
+
+  if (claim.duplicate) logger.info("idempotency: Duplicate request", { uid, action, requestId, storyId: claim.storyId });
+  return {
+    ...claim,
+    release: async () => {
+      if (claim.duplicate) return;
+      await ref.delete().catch(err => logger.warn("idempotency: Release failed", { requestId, error: err.message }));
+    },
+  };
+}
+
+/** Response for a repeated request: the original story and where it stands. */
+export async function duplicateResult(storyId) {
+  const snap = await db.collection("colorStories").doc(storyId).get();
+  // The first call may not have written the story yet; it is still being set up
+  return { storyId, duplicate: true, status: snap.exists ? snap.data().status : "processing" };
+}
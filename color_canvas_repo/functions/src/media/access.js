@@ -0,0 +1,85 @@
+import { publicUrl, pathFromPublicUrl, signedUrl, setObjectPublic } from "../storage.js";
+import { storyIdOfPath } from "./assets.js";
+
+// ✅ Story media delivery follows the story's `access` field.
+// Public stories: objects are made public and the story stores permanent URLs.
+// Anything else: objects stay private and the story stores signed URLs that expire after
+// SIGNED_URL_TTL_MS (`mediaUrlsExpireAt`); clients refresh them through getStoryMedia.
+
+export const SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+
+export const isPublicAccess = access => access === "public";
+
+/** Read URL for one object, publishing it first when the story is public. */
+export async function mediaUrl(path, access) {
+  if (isPublicAccess(access)) {
+    await setObjectPublic(path, true);
+    return publicUrl(path);
+  }
+  return signedUrl(path, SIGNED_URL_TTL_MS);
+}
+
+/** When URLs written now stop working (null for permanent URLs). */
+export function mediaExpiry(access) {
+  return isPublicAccess(access) ? null : new Date(Date.now() + SIGNED_URL_TTL_MS);
+}
+
+/**
+ * Storage paths of a story's media. Stories generated before signed delivery only
+ * have public URLs, so paths are recovered from those. The fields are story data, so only
+ * paths of this story's own assets (src/media/assets.js) are returned; anything else is
+ * dropped rather than signed or published.
+ */
+export function storyMediaPaths(storyId, story) {
+  const own = path => (typeof path === "string" && storyIdOfPath(path) === storyId ? path : null);
+  const ownEntries = entries => Object.fromEntries(entries.map(([key, path]) => [key, own(path)]).filter(([, path]) => path));
+  const thumbnails = ownEntries(story.heroThumbnailPaths
+    ? Object.entries(story.heroThumbnailPaths)
+    : Object.entries(story.heroThumbnails || {}).map(([width, url]) => [width, pathFromPublicUrl(url)]));
+  const tracks = ownEntries(Object.entries(story.audioTracks || {}).map(([locale, track]) => [locale, track?.audioPath]));
+  return {
+    hero: own(story.heroImagePath || pathFromPublicUrl(story.heroImageUrl)),
+    thumbnails,
+    audio: own(story.audioPath || pathFromPublicUrl(story.audioUrl)),
+    tracks,
+    pdf: own(story.exports?.pdfPath),
+  };
+}
+
+async function urlPatch(paths, access, url) {
+  const patch = {};
+  if (paths.hero) patch.heroImageUrl = await url(paths.hero, access);
+  if (Object.keys(paths.thumbnails).length) {
+    patch.heroThumbnails = {};
+    for (const [width, path] of Object.entries(paths.thumbnails)) patch.heroThumbnails[width] = await url(path, access);
+  }
+  if (paths.audio) patch.audioUrl = await url(paths.audio, access);
+  if (Object.keys(paths.tracks).length) {
+    patch.audioTracks = {};
+    for (const [locale, path] of Object.entries(paths.tracks)) patch.audioTracks[locale] = { audioUrl: await url(path, access) };
+  }
+  if (paths.pdf) patch.exports = { pdfUrl: await url(paths.pdf, access) };
+  if (Object.keys(patch).length) patch.mediaUrlsExpireAt = mediaExpiry(access);
+  return patch;
+}
+
+/** Fresh read URLs for a story's media without changing object ACLs. */
+export function storyMediaUrls(storyId, story) {
+  const read = (path, access) => (isPublicAccess(access) ? publicUrl(path) : signedUrl(path, SIGNED_URL_TTL_MS));
+  return urlPatch(storyMediaPaths(storyId, story), story.access, read);
+}
+
+/**
+ * Applies the story's access to its objects (public ↔ private) and returns the
+ * story fields to write: URLs, their expiry, and the storage paths.
+ */
+export async function syncMediaAccess(storyId, story) {
+  const paths = storyMediaPaths(storyId, story);
+  const all = [paths.hero, ...Object.values(paths.thumbnails), paths.audio, ...Object.values(paths.tracks), paths.pdf].filter(Boolean);
+  await Promise.all(all.map(path => setObjectPublic(path, isPublicAccess(story.access))));
+  const patch = await storyMediaUrls(storyId, story);
+  if (paths.hero) patch.heroImagePath = paths.hero;
+  if (Object.keys(paths.thumbnails).length) patch.heroThumbnailPaths = paths.thumbnails;
+  if (paths.audio) patch.audioPath = paths.audio;
+  return patch;
+}
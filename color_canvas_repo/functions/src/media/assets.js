@@ -0,0 +1,39 @@
+import { logger } from "firebase-functions";
+import { listFiles, deleteFile } from "../storage.js";
+
+// ✅ Story assets in Storage. Everything a story owns sits in STORY_ASSET_DIRS and is named
+// `{storyId}.{ext}` or `{storyId}_{suffix}.{ext}` (hero thumbnails, language tracks), so
+// assets are found by listing: the story's fields only point at the latest files.
+
+export const STORY_ASSET_DIRS = [
+  "color_stories/heroes",
+  "color_stories/audio",
+  "color_stories/exports",
+  "color_stories/pages",
+];
+
+const ASSET_NAME = /^([A-Za-z0-9]+)(?:_[^/]+)?\.[A-Za-z0-9]+$/;
+
+/** The story id a Storage path belongs to, or null outside STORY_ASSET_DIRS. */
+export function storyIdOfPath(path) {
+  const dir = STORY_ASSET_DIRS.find(d => path.startsWith(`${d}/`));
+  return dir ? path.slice(dir.length + 1).match(ASSET_NAME)?.[1] || null : null;
+}
+
+/** Storage paths of a story's assets, optionally in some directories only. */
+export async function listStoryAssets(storyId, { dirs = STORY_ASSET_DIRS } = {}) {
+  const listed = await Promise.all(dirs.map(dir => listFiles(`${dir}/${storyId}`)));
+  // The prefix also matches longer ids ("abc" → "abcd.jpg")
+  return listed.flat().map(f => f.path).filter(path => storyIdOfPath(path) === storyId);
+}
+
+/**
+ * Deletes a story's assets except `keep`.
+ * @returns {Promise<string[]>} deleted paths
+ */
+export async function deleteStoryAssets(storyId, { dirs, keep = [] } = {}) {
+  const paths = (await listStoryAssets(storyId, { dirs })).filter(path => !keep.includes(path));
+  await Promise.all(paths.map(deleteFile));
+  if (paths.length) logger.info("assets: Story assets deleted", { storyId, count: paths.length, paths });
+  return paths;
+}
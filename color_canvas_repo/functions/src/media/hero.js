@@ -0,0 +1,106 @@
+import { normalizeHex, relativeLuminance } from "../color/index.js";
+import { assignRoles, normalizeRoom } from "../usage_guide.js";
+import { createCanvas, fillRect, fillGradientRect, fillEllipse, mixHex, shade, tint, toPng } from "./raster.js";
+
+// ✅ Fallback hero: a flat room elevation painted with the palette, rendered as PNG.
+// Ceiling, crown and baseboard trim, main wall, a door and a window in trim casing,
+// an accent sofa with a cabinet/console, and a swatch strip showing every palette color.
+// Flat color blocks compress far better as PNG than JPEG, so no JPEG encoder is needed.
+
+export const HERO_SIZE = { width: 1600, height: 900 };
+// Thumbnails are rendered at size rather than downscaled, so edges stay crisp
+export const HERO_THUMBNAIL_WIDTHS = [800, 400];
+
+const FLOOR = "#8A7560"; // warm oak, dimmed toward the palette's darkest color
+
+function roleColors(hexes, room) {
+  const roles = Object.fromEntries(assignRoles(hexes.map(hex => ({ hex })), normalizeRoom(room)).map(r => [r.role, r.color.hex]));
+  return {
+    ...roles,
+    door: roles.door || roles.cabinet || shade(roles.trim, 0.08),
+    cabinet: roles.cabinet || roles.door || roles.accent,
+  };
+}
+
+/**
+ * Renders the room elevation for `hexes` at `width` (16:9).
+ * @param {string[]} hexes palette colors, in palette order
+ * @param {{width?: number, room?: string}} opts
+ * @returns {Buffer} PNG bytes
+ */
+export function renderHeroPng(hexes, { width = HERO_SIZE.width, room } = {}) {
+  const palette = [...new Set((hexes || []).map(normalizeHex).filter(Boolean))];
+  if (!palette.length) palette.push("#D8D4CC", "#8A8F88");
+  const c = roleColors(palette, room);
+
+  const W = width;
+  const H = Math.round((width * HERO_SIZE.height) / HERO_SIZE.width);
+  const u = W / 160; // layout unit: the scene is drawn on a 160 × 90 grid
+  const canvas = createCanvas(W, H, c.main);
+
+  // Ceiling and crown
+  fillGradientRect(canvas, 0, 0, W, 10 * u, shade(c.ceiling, 0.08), c.ceiling);
+  fillRect(canvas, 0, 10 * u, W, 2 * u, c.trim);
+  fillRect(canvas, 0, 12 * u, W, 0.4 * u, shade(c.trim, 0.15));
+
+  // Main wall, a touch darker toward the floor
+  fillGradientRect(canvas, 0, 12.4 * u, W, 57.6 * u, tint(c.main, 0.04), shade(c.main, 0.1));
+
+  // Baseboard and floor
+  fillRect(canvas, 0, 67 * u, W, 3 * u, c.trim);
+  fillRect(canvas, 0, 69.6 * u, W, 0.4 * u, shade(c.trim, 0.2));
+  const darkest = palette.reduce((a, b) => (relativeLuminance(a) <= relativeLuminance(b) ? a : b));
+  const floor = mixHex(FLOOR, shade(darkest, 0.3), 0.35);
+  fillGradientRect(canvas, 0, 70 * u, W, 10 * u, tint(floor, 0.08), shade(floor, 0.18));
+
+  // Window with trim casing, mullions and a glimpse of sky
+  const win = { x: 18 * u, y: 20 * u, w: 30 * u, h: 30 * u };
+  fillRect(canvas, win.x - 2 * u, win.y - 2 * u, win.w + 4 * u, win.h + 5 * u, c.trim);
+  fillGradientRect(canvas, win.x, win.y, win.w, win.h, "#BFD8E8", tint(c.ceiling, 0.5));
+  fillRect(canvas, win.x + win.w / 2 - 0.5 * u, win.y, u, win.h, c.trim);
+  fillRect(canvas, win.x, win.y + win.h / 2 - 0.5 * u, win.w, u, c.trim);
+  fillRect(canvas, win.x - 3 * u, win.y + win.h + 3 * u, win.w + 6 * u, 1.2 * u, shade(c.trim, 0.06));
+
+  // Door in casing, with panels and a knob
+  const door = { x: 124 * u, y: 26 * u, w: 20 * u, h: 44 * u };
+  fillRect(canvas, door.x - 2 * u, door.y - 2 * u, door.w + 4 * u, door.h + 2 * u, c.trim);
+  fillRect(canvas, door.x, door.y, door.w, door.h, c.door);
+  for (const [py, ph] of [[3, 16], [22, 19]]) {
+    fillRect(canvas, door.x + 3 * u, door.y + py * u, door.w - 6 * u, ph * u, shade(c.door, 0.1));
+    fillRect(canvas, door.x + 3.6 * u, door.y + (py + 0.6) * u, door.w - 7.2 * u, (ph - 1.2) * u, c.door);
+  }
+  fillEllipse(canvas, door.x + door.w - 3 * u, door.y + 24 * u, 0.9 * u, 0.9 * u, shade(c.trim, 0.45));
+
+  // Pendant light
+  fillRect(canvas, 86.7 * u, 12.4 * u, 0.3 * u, 12 * u, shade(c.ceiling, 0.6));
+  fillEllipse(canvas, 87 * u, 27 * u, 5 * u, 3 * u, c.accent);
+  fillEllipse(canvas, 87 * u, 28.6 * u, 3.4 * u, 1.2 * u, tint(c.ceiling, 0.7));
+
+  // Console/cabinet and accent sofa standing on the floor line (y = 70), with a soft shadow
+  fillRect(canvas, 56 * u, 70 * u, 62 * u, 1.5 * u, shade(floor, 0.3));
+  fillRect(canvas, 100 * u, 50 * u, 16 * u, 20 * u, c.cabinet);
+  fillRect(canvas, 100 * u, 50 * u, 16 * u, u, tint(c.cabinet, 0.15));
+  fillRect(canvas, 107.8 * u, 52 * u, 0.4 * u, 17 * u, shade(c.cabinet, 0.25));
+  fillRect(canvas, 60 * u, 54 * u, 36 * u, 10 * u, c.accent);
+  fillRect(canvas, 58 * u, 59 * u, 40 * u, 11 * u, shade(c.accent, 0.12));
+  fillRect(canvas, 57 * u, 57 * u, 5 * u, 13 * u, shade(c.accent, 0.2));
+  fillRect(canvas, 94 * u, 57 * u, 5 * u, 13 * u, shade(c.accent, 0.2));
+  fillRect(canvas, 64 * u, 58 * u, 14 * u, 5 * u, tint(c.accent, 0.12));
+  fillRect(canvas, 79 * u, 58 * u, 14 * u, 5 * u, tint(c.accent, 0.12));
+
+  // Swatch strip: every palette color, in palette order
+  const strip = { y: 80 * u, h: H - 80 * u };
+  palette.forEach((hex, i) => {
+    const x0 = Math.round((i * W) / palette.length);
+    const x1 = Math.round(((i + 1) * W) / palette.length);
+    fillRect(canvas, x0, strip.y, x1 - x0, strip.h, hex);
+  });
+  fillRect(canvas, 0, strip.y, W, 0.3 * u, shade(floor, 0.4));
+
+  return toPng(canvas);
+}
+
+/** Full-size hero plus thumbnails, keyed by width. */
+export function renderHeroSet(hexes, { room } = {}) {
+  return [HERO_SIZE.width, ...HERO_THUMBNAIL_WIDTHS].map(width => ({ width, png: renderHeroPng(hexes, { width, room }) }));
+}
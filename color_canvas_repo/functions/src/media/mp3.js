@@ -0,0 +1,75 @@
+// ✅ MPEG audio Layer III helpers: frame walking for durations, and joining TTS chunks.
+// Chunks from one voice share encoding parameters, so their frames can simply be appended.
+
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320], // MPEG-1
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160], // MPEG-2 / 2.5
+};
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/** Size of a leading ID3v2 tag, or 0. */
+function id3v2Size(buf, offset = 0) {
+  if (buf.length < offset + 10 || buf.toString("latin1", offset, offset + 3) !== "ID3") return 0;
+  // Syncsafe integer: 7 bits per byte
+  const size = (buf[offset + 6] << 21) | (buf[offset + 7] << 14) | (buf[offset + 8] << 7) | buf[offset + 9];
+  return 10 + size + (buf[offset + 5] & 0x10 ? 10 : 0);
+}
+
+/** Layer III frame header at `offset`, or null. */
+function frameAt(buf, offset) {
+  if (offset + 4 > buf.length || buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buf[offset + 1] >> 3) & 3;
+  const layer = (buf[offset + 1] >> 1) & 3;
+  const bitrateIndex = buf[offset + 2] >> 4;
+  const rateIndex = (buf[offset + 2] >> 2) & 3;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = version === 3;
+  const bitrate = BITRATES[mpeg1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][rateIndex];
+  const padding = (buf[offset + 2] >> 1) & 1;
+  return {
+    length: Math.floor(((mpeg1 ? 144 : 72) * bitrate) / sampleRate) + padding,
+    samples: mpeg1 ? 1152 : 576,
+    sampleRate,
+  };
+}
+
+/** Playback length in milliseconds, from the frame headers. */
+export function mp3DurationMs(buf) {
+  let offset = id3v2Size(buf);
+  let seconds = 0;
+  while (offset < buf.length) {
+    const frame = frameAt(buf, offset);
+    if (!frame) {
+      offset += 1; // resync
+      continue;
+    }
+    seconds += frame.samples / frame.sampleRate;
+    offset += frame.length;
+  }
+  return Math.round(seconds * 1000);
+}
+
+/** Audio frames only: drops ID3v2 (leading) and ID3v1 (trailing) tags. */
+function stripTags(buf) {
+  let end = buf.length;
+  if (end >= 128 && buf.toString("latin1", end - 128, end - 125) === "TAG") end -= 128;
+  return buf.subarray(id3v2Size(buf), end);
+}
+
+/**
+ * Joins MP3 chunks into one file.
+ * @param {Buffer[]} chunks
+ * @returns {{audio: Buffer, offsetsMs: number[], durationMs: number}} start time of each chunk
+ */
+export function concatMp3(chunks) {
+  const parts = chunks.map(chunk => stripTags(Buffer.from(chunk)));
+  const offsetsMs = [];
+  let durationMs = 0;
+  for (const part of parts) {
+    offsetsMs.push(durationMs);
+    durationMs += mp3DurationMs(part);
+  }
+  return { audio: Buffer.concat(parts), offsetsMs, durationMs };
+}
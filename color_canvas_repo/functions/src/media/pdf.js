@@ -0,0 +1,235 @@
+import zlib from "node:zlib";
+
+// ✅ Minimal PDF 1.4 writer: pages with text (standard Helvetica, WinAnsi), filled
+// rectangles, JPEG/PNG images and link annotations. Coordinates are in points from the
+// page's top-left corner; the writer flips them to PDF's bottom-left origin.
+
+export const LETTER = { width: 612, height: 792 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126; other characters use 556
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const BOLD_FACTOR = 1.06; // Helvetica-Bold runs slightly wider; close enough for wrapping
+
+// WinAnsiEncoding positions for common typographic characters outside Latin-1
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+
+function encodeText(text) {
+  const bytes = [];
+  for (const ch of String(text)) {
+    const code = WIN_ANSI[ch] ?? ch.codePointAt(0);
+    bytes.push(code < 256 ? code : 0x3f); // "?" for anything WinAnsi can't show
+  }
+  return Buffer.from(bytes);
+}
+
+function literal(text) {
+  return `(${encodeText(text).toString("latin1").replace(/[\\()]/g, c => `\\${c}`).replace(/\r/g, "\\r").replace(/\n/g, "\\n")})`;
+}
+
+export function textWidth(text, size, { bold = false } = {}) {
+  let units = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/** Greedy word wrap to `maxWidth` points. */
+export function wrapText(text, size, maxWidth, opts) {
+  const lines = [];
+  for (const paragraph of String(text || "").split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size, opts) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const rgb = hex => {
+  const n = parseInt(String(hex || "#000000").replace("#", ""), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => (v / 255).toFixed(3)).join(" ");
+};
+const num = v => Number(v.toFixed(2));
+
+/** JPEG dimensions from its SOF marker. */
+function jpegSize(buf) {
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xff) return null;
+    const marker = buf[offset + 1];
+    const length = buf.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7), components: buf[offset + 9] };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/** 8-bit RGB, non-interlaced PNG → its zlib stream, which PDF reads with the PNG predictors. */
+function pngImage(buf) {
+  if (buf.toString("latin1", 1, 4) !== "PNG") return null;
+  let offset = 8;
+  let header = null;
+  const idat = [];
+  while (offset + 8 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString("latin1", offset + 4, offset + 8);
+    const data = buf.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), depth: data[8], color: data[9], interlace: data[12] };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    }
+    offset += 12 + length;
+  }
+  if (!header || header.depth !== 8 || header.color !== 2 || header.interlace !== 0) return null;
+  return { ...header, data: Buffer.concat(idat) };
+}
+
+/** Whether addImage() can embed `buf` (JPEG, or 8-bit RGB non-interlaced PNG). */
+export function isEmbeddableImage(buf) {
+  if (!buf?.length) return false;
+  return buf[0] === 0xff && buf[1] === 0xd8 ? Boolean(jpegSize(buf)) : Boolean(pngImage(buf));
+}
+
+export function createPdf({ width = LETTER.width, height = LETTER.height } = {}) {
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  const doc = {
+    width,
+    height,
+
+    addPage() {
+      page = { ops: [], links: [], images: new Set() };
+      pages.push(page);
+      return doc;
+    },
+
+    /**
+     * Registers a JPEG or 8-bit RGB PNG.
+     * @returns {{name: string, width: number, height: number}|null} null for unsupported images
+     */
+    addImage(buf) {
+      const jpeg = buf[0] === 0xff && buf[1] === 0xd8 ? jpegSize(buf) : null;
+      const png = jpeg ? null : pngImage(buf);
+      if (!jpeg && !png) return null;
+      const image = { name: `Im${images.length + 1}`, ...(jpeg || png) };
+      image.dict = jpeg
+        ? `/Filter /DCTDecode /ColorSpace /${jpeg.components === 1 ? "DeviceGray" : jpeg.components === 4 ? "DeviceCMYK" : "DeviceRGB"}`
+        : `/Filter /FlateDecode /ColorSpace /DeviceRGB /DecodeParms << /Predictor 15 /Colors 3 /BitsPerComponent 8 /Columns ${png.width} >>`;
+      image.stream = jpeg ? buf : png.data;
+      images.push(image);
+      return { name: image.name, width: image.width, height: image.height };
+    },
+
+    text(x, y, str, { size = 10, bold = false, color = "#000000" } = {}) {
+      page.ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${num(x)} ${num(height - y - size)} Td ${literal(str)} Tj ET`);
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill, stroke, lineWidth = 0.5 } = {}) {
+      const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill && stroke) page.ops.push(`${rgb(fill)} rg ${rgb(stroke)} RG ${lineWidth} w ${path} B`);
+      else if (fill) page.ops.push(`${rgb(fill)} rg ${path} f`);
+      else if (stroke) page.ops.push(`${rgb(stroke)} RG ${lineWidth} w ${path} S`);
+      return doc;
+    },
+
+    image(image, x, y, w, h) {
+      page.images.add(image.name);
+      page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /${image.name} Do Q`);
+      return doc;
+    },
+
+    link(x, y, w, h, url) {
+      page.links.push({ rect: [x, height - y - h, x + w, height - y].map(num), url });
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = body => objects.push(body); // object id = position, 1-based
+
+      const catalog = add(null);
+      const pagesId = add(null);
+      const fonts = {
+        F1: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"),
+        F2: add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"),
+      };
+      const imageIds = {};
+      for (const image of images) {
+        imageIds[image.name] = add({
+          dict: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /BitsPerComponent 8 ${image.dict}`,
+          stream: image.stream,
+        });
+      }
+
+      const pageIds = pages.map((p) => {
+        const content = zlib.deflateSync(Buffer.from(p.ops.join("\n"), "latin1"));
+        const contentId = add({ dict: "/Filter /FlateDecode", stream: content });
+        const annots = p.links.map(l => add(
+          `<< /Type /Annot /Subtype /Link /Rect [${l.rect.join(" ")}] /Border [0 0 0] /A << /S /URI /URI ${literal(l.url)} >> >>`
+        ));
+        const xobjects = [...p.images].map(name => `/${name} ${imageIds[name]} 0 R`).join(" ");
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] /Contents ${contentId} 0 R ` +
+          `/Resources << /Font << /F1 ${fonts.F1} 0 R /F2 ${fonts.F2} 0 R >> /XObject << ${xobjects} >> >> ` +
+          `/Annots [${annots.map(id => `${id} 0 R`).join(" ")}] >>`
+        );
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+      let length = chunks[0].length;
+      const offsets = [];
+      objects.forEach((obj, i) => {
+        offsets.push(length);
+        const parts = typeof obj === "string"
+          ? [Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`, "latin1")]
+          : [
+            Buffer.from(`${i + 1} 0 obj\n<< ${obj.dict} /Length ${obj.stream.length} >>\nstream\n`, "latin1"),
+            obj.stream,
+            Buffer.from("\nendstream\nendobj\n", "latin1"),
+          ];
+        for (const part of parts) {
+          chunks.push(part);
+          length += part.length;
+        }
+      });
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map(o => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+      ].join("\n");
+      chunks.push(Buffer.from(`${xref}\n`, "latin1"));
+      return Buffer.concat(chunks);
+    },
+  };
+  return doc;
+}
@@ -0,0 +1,257 @@
+// ✅ Minimal QR Code encoder (ISO/IEC 18004): byte mode, error correction level M,
+// versions 1–10, which covers URLs up to 213 bytes. No dependencies, deterministic output.
+
+// Error correction level M: EC codewords per block and [block count, data codewords per block] groups
+const BLOCKS_M = [
+  null,
+  [10, [[1, 16]]],
+  [16, [[1, 28]]],
+  [26, [[1, 44]]],
+  [18, [[2, 32]]],
+  [24, [[2, 43]]],
+  [16, [[4, 27]]],
+  [18, [[4, 31]]],
+  [22, [[2, 38], [2, 39]]],
+  [22, [[3, 36], [2, 37]]],
+  [26, [[4, 43], [1, 44]]],
+];
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const REMAINDER_BITS = [0, 0, 7, 7, 7, 7, 7, 0, 0, 0, 0];
+const FORMAT_BITS_M = 0;
+const MAX_VERSION = 10;
+
+const dataCapacity = version => BLOCKS_M[version][1].reduce((sum, [count, size]) => sum + count * size, 0);
+
+// ✅ Reed–Solomon over GF(256), polynomial 0x11D
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/** Data bits → padded data codewords → interleaved data + EC codewords. */
+function codewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  for (let pad = 0xec; data.length < capacityBits / 8; pad ^= 0xec ^ 0x11) data.push(pad);
+
+  const [ecLength, groups] = BLOCKS_M[version];
+  const divisor = rsDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+    }
+  }
+
+  const result = [];
+  const longest = Math.max(...blocks.map(b => b.data.length));
+  for (let i = 0; i < longest; i++) for (const b of blocks) if (i < b.data.length) result.push(b.data[i]);
+  for (let i = 0; i < ecLength; i++) for (const b of blocks) result.push(b.ec[i]);
+  return result;
+}
+
+// ✅ Matrix
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // Finder patterns with their light separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  const centers = ALIGNMENT[version];
+  for (const cy of centers) {
+    for (const cx of centers) {
+      const nearFinder = (cx === 6 && cy === 6) || (cx === 6 && cy === size - 7) || (cx === size - 7 && cy === 6);
+      if (nearFinder) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits({ size, set }, mask) {
+  const data = (FORMAT_BITS_M << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // dark module
+}
+
+function drawCodewords({ size, modules, reserved }, data, remainderBits) {
+  const totalBits = data.length * 8 + remainderBits;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || i >= totalBits) continue;
+        modules[y][x] = i < data.length * 8 && ((data[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/** Standard penalty score (runs, 2×2 blocks, finder look-alikes, dark balance). */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += 3 + run - 5;
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+      const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !line[i - k]);
+      const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !line[i + 7 + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+  for (let y = 0; y + 1 < size; y++) {
+    for (let x = 0; x + 1 < size; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  return score;
+}
+
+/**
+ * Encodes `text` (UTF-8) as a QR code.
+ * @returns {{size: number, modules: boolean[][]}} modules[y][x], true = dark; no quiet zone
+ * @throws {Error} when the text needs more than version 10
+ */
+export function encodeQr(text) {
+  const bytes = [...Buffer.from(String(text), "utf8")];
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+  if (version > MAX_VERSION) throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+
+  const data = codewords(bytes, version);
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, mask);
+    drawCodewords(matrix, data, REMAINDER_BITS[version]);
+    applyMask(matrix, mask);
+    const score = penalty(matrix.modules);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  }
+  return { size: best.modules.length, modules: best.modules };
+}
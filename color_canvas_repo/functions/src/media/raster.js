@@ -0,0 +1,65 @@
+import { hexToRgb, rgbToHex, srgbToLinear, linearToSrgb } from "../color/index.js";
+import { encodePng } from "./png.js";
+
+// ✅ Tiny RGB raster canvas: axis-aligned rects, vertical gradients and ellipses.
+// Enough for flat illustrations; coordinates are in pixels and clipped to the canvas.
+
+export function createCanvas(width, height, background = "#FFFFFF") {
+  const canvas = { width, height, data: Buffer.alloc(width * height * 3) };
+  fillRect(canvas, 0, 0, width, height, background);
+  return canvas;
+}
+
+function span(canvas, x0, x1, y, [r, g, b]) {
+  const from = Math.max(0, Math.round(x0));
+  const to = Math.min(canvas.width, Math.round(x1));
+  for (let x = from; x < to; x++) {
+    const o = (y * canvas.width + x) * 3;
+    canvas.data[o] = r;
+    canvas.data[o + 1] = g;
+    canvas.data[o + 2] = b;
+  }
+}
+
+function rows(canvas, y, h) {
+  return [Math.max(0, Math.round(y)), Math.min(canvas.height, Math.round(y + h))];
+}
+
+export function fillRect(canvas, x, y, w, h, hex) {
+  const rgb = hexToRgb(hex);
+  const [from, to] = rows(canvas, y, h);
+  for (let row = from; row < to; row++) span(canvas, x, x + w, row, rgb);
+}
+
+/** Top-to-bottom gradient, interpolated in linear light so midtones don't go muddy. */
+export function fillGradientRect(canvas, x, y, w, h, topHex, bottomHex) {
+  const [from, to] = rows(canvas, y, h);
+  for (let row = from; row < to; row++) {
+    const t = to - from > 1 ? (row - from) / (to - from - 1) : 0;
+    span(canvas, x, x + w, row, hexToRgb(mixHex(topHex, bottomHex, t)));
+  }
+}
+
+export function fillEllipse(canvas, cx, cy, rx, ry, hex) {
+  const rgb = hexToRgb(hex);
+  const [from, to] = rows(canvas, cy - ry, 2 * ry);
+  for (let row = from; row < to; row++) {
+    const dy = (row + 0.5 - cy) / ry;
+    const half = rx * Math.sqrt(Math.max(0, 1 - dy * dy));
+    span(canvas, cx - half, cx + half, row, rgb);
+  }
+}
+
+/** Mixes two hex colors in linear light; t = 0 → a, t = 1 → b. */
+export function mixHex(a, b, t) {
+  const ca = hexToRgb(a).map(srgbToLinear);
+  const cb = hexToRgb(b).map(srgbToLinear);
+  return rgbToHex(ca.map((v, i) => linearToSrgb(v + (cb[i] - v) * t)));
+}
+
+export const shade = (hex, amount) => mixHex(hex, "#000000", amount);
+export const tint = (hex, amount) => mixHex(hex, "#FFFFFF", amount);
+
+export function toPng(canvas) {
+  return encodePng(canvas.width, canvas.height, canvas.data);
+}
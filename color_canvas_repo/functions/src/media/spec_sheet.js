@@ -0,0 +1,176 @@
+import { createPdf, wrapText } from "./pdf.js";
+import { encodeQr } from "./qr.js";
+import { paletteItems } from "../pipeline/prompts.js";
+
+// ✅ Printable spec sheet for painters and contractors (US Letter):
+// title, hero, swatches with brand/name/code, the usage-guide table, narration and QR links.
+
+const MARGIN = 48;
+const FOOTER = 28;
+const GRAY = "#5F6368";
+const RULE = "#D9D9D9";
+const TABLE_COLUMNS = [
+  { key: "role", title: "Role", width: 62 },
+  { key: "paint", title: "Paint", width: 118 },
+  { key: "surface", title: "Surface", width: 78 },
+  { key: "finish", title: "Finish / sheen", width: 78 },
+  { key: "howToUse", title: "How to use", width: 180 },
+];
+
+const title = s => String(s || "").replace(/\b\w/g, c => c.toUpperCase());
+
+function paintLabel(item) {
+  return [item.name, [item.brandName, item.code].filter(Boolean).join(" ")].filter(Boolean).join("\n") || item.hex;
+}
+
+/**
+ * @param {object} story story document
+ * @param {{hero?: Buffer, links?: {label: string, url: string}[], note?: string, generatedAt?: Date}} extras
+ *   hero: JPEG or RGB PNG bytes; links become QR codes
+ * @returns {Buffer} PDF bytes
+ */
+export function renderSpecSheet(story, { hero, links = [], note, generatedAt = new Date() } = {}) {
+  const doc = createPdf();
+  const contentWidth = doc.width - MARGIN * 2;
+  const bottom = doc.height - MARGIN - FOOTER;
+  const name = story.name || "Color Story";
+  let page = 0;
+  let y = MARGIN;
+
+  const newPage = () => {
+    doc.addPage();
+    page += 1;
+    y = MARGIN;
+    const footer = `${name} · page ${page} · ${generatedAt.toISOString().slice(0, 10)}`;
+    doc.rect(MARGIN, doc.height - MARGIN - 14, contentWidth, 0.5, { fill: RULE });
+    doc.text(MARGIN, doc.height - MARGIN - 8, footer, { size: 8, color: GRAY });
+  };
+  const ensure = height => {
+    if (y + height > bottom) newPage();
+  };
+  const heading = text => {
+    ensure(40);
+    y += 10;
+    doc.text(MARGIN, y, text, { size: 14, bold: true });
+    y += 22;
+  };
+  const paragraph = (text, { size = 10, leading = 14, color } = {}) => {
+    for (const line of wrapText(text, size, contentWidth)) {
+      ensure(leading);
+      doc.text(MARGIN, y, line, { size, color });
+      y += leading;
+    }
+  };
+
+  // ✅ Title and hero
+  newPage();
+  doc.text(MARGIN, y, name, { size: 22, bold: true });
+  y += 30;
+  const subtitle = [title(story.room), title(story.style), (story.vibeWords || []).join(", ")].filter(Boolean).join(" · ");
+  if (subtitle) {
+    doc.text(MARGIN, y, subtitle, { size: 11, color: GRAY });
+    y += 20;
+  }
+  const heroImage = hero ? doc.addImage(hero) : null;
+  if (heroImage) {
+    const h = Math.min(290, (contentWidth * heroImage.height) / heroImage.width);
+    const w = (h * heroImage.width) / heroImage.height;
+    doc.image(heroImage, MARGIN + (contentWidth - w) / 2, y, w, h);
+    y += h + 16;
+  }
+
+  // ✅ Swatches, five per row
+  heading("Palette");
+  const items = paletteItems(story);
+  const perRow = 5;
+  const cell = contentWidth / perRow;
+  for (let i = 0; i < items.length; i += perRow) {
+    ensure(130);
+    items.slice(i, i + perRow).forEach((item, col) => {
+      const x = MARGIN + col * cell;
+      doc.rect(x, y, cell - 10, 58, { fill: item.hex, stroke: RULE });
+      let ty = y + 64;
+      doc.text(x, ty, item.hex, { size: 9, bold: true });
+      ty += 12;
+      for (const line of [item.brandName, ...wrapText(item.name || "", 8, cell - 10).slice(0, 2), item.code].filter(Boolean)) {
+        doc.text(x, ty, line, { size: 8, color: GRAY });
+        ty += 10;
+      }
+    });
+    y += 130;
+  }
+
+  // ✅ Usage guide table
+  const guide = story.usageGuide || [];
+  if (guide.length) {
+    heading("Usage guide");
+    const drawHeader = () => {
+      let x = MARGIN;
+      doc.rect(MARGIN, y - 4, contentWidth, 18, { fill: "#F1F3F4" });
+      for (const column of TABLE_COLUMNS) {
+        doc.text(x + 4, y, column.title, { size: 8.5, bold: true });
+        x += column.width;
+      }
+      y += 18;
+    };
+    drawHeader();
+    for (const row of guide) {
+      const cells = {
+        role: title(row.role),
+        paint: paintLabel(row),
+        surface: row.surface || "",
+        finish: [row.finishRecommendation, row.sheen].filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).join(" / "),
+        howToUse: row.howToUse || "",
+      };
+      const wrapped = TABLE_COLUMNS.map(c => wrapText(cells[c.key], 8.5, c.width - (c.key === "role" ? 20 : 8)));
+      const rowHeight = Math.max(...wrapped.map(lines => lines.length)) * 11 + 8;
+      if (y + rowHeight > bottom) {
+        newPage();
+        drawHeader();
+      }
+      let x = MARGIN;
+      TABLE_COLUMNS.forEach((column, i) => {
+        const indent = column.key === "role" ? 16 : 4;
+        if (column.key === "role" && row.hex) doc.rect(x + 4, y + 1, 9, 9, { fill: row.hex, stroke: RULE });
+        wrapped[i].forEach((line, l) => doc.text(x + indent, y + l * 11, line, { size: 8.5 }));
+        x += column.width;
+      });
+      y += rowHeight;
+      doc.rect(MARGIN, y - 5, contentWidth, 0.5, { fill: RULE });
+    }
+  }
+
+  // ✅ Narration
+  if (story.narration) {
+    heading("Narration");
+    for (const text of String(story.narration).split(/\n\s*\n+/)) {
+      paragraph(text.replace(/\s+/g, " ").trim());
+      y += 6;
+    }
+  }
+
+  // ✅ QR links
+  if (links.length || note) {
+    heading("Links");
+    if (note) paragraph(note, { size: 9, color: GRAY });
+    for (const { label, url } of links) {
+      const qr = encodeQr(url);
+      const size = 84;
+      const module = size / qr.size;
+      ensure(size + 12);
+      doc.rect(MARGIN, y, size, size, { fill: "#FFFFFF" });
+      qr.modules.forEach((row, r) => row.forEach((dark, c) => {
+        if (dark) doc.rect(MARGIN + c * module, y + r * module, module + 0.05, module + 0.05, { fill: "#000000" });
+      }));
+      doc.link(MARGIN, y, size, size, url);
+      doc.text(MARGIN + size + 14, y + 8, label, { size: 11, bold: true });
+      wrapText(url.replace(/([/?&=])/g, "$1 "), 8.5, contentWidth - size - 14).forEach((line, i) => {
+        doc.text(MARGIN + size + 14, y + 26 + i * 11, line.replace(/([/?&=]) /g, "$1"), { size: 8.5, color: GRAY });
+      });
+      doc.link(MARGIN + size + 14, y + 4, contentWidth - size - 14, 40, url);
+      y += size + 12;
+    }
+  }
+
+  return doc.toBuffer();
+}
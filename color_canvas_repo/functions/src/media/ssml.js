@@ -0,0 +1,135 @@
+// ✅ Narration → SSML chunks for Google Cloud TTS.
+// The narration is split into chapters (intro, one per paint role, lighting tips), each
+// chapter becomes one or more <speak> documents under MAX_SSML_BYTES (the API allows 5000),
+// with pauses between paragraphs and chapters and the palette's paint names emphasized.
+
+export const MAX_SSML_BYTES = 4500;
+
+const PARAGRAPH_PAUSE = "400ms";
+const CHAPTER_PAUSE = "800ms";
+
+export const CHAPTER_TITLES = {
+  intro: "Introduction",
+  main: "Walls",
+  trim: "Trim",
+  ceiling: "Ceiling",
+  accent: "Accent",
+  door: "Doors",
+  cabinet: "Cabinets",
+  lighting: "Lighting tips",
+};
+
+// Whole words only, in the narration languages we support (see src/voices.js)
+const words = (...alternatives) => new RegExp(`(?<!\\p{L})(?:${alternatives.join("|")})(?!\\p{L})`, "iu");
+
+const CHAPTER_PATTERNS = [
+  ["main", words("main", "walls?", "pared(?:es)?", "murs?")],
+  ["trim", words("trim", "mou?ldings?", "molduras?", "moulures?", "boiseries?")],
+  ["ceiling", words("ceilings?", "techos?", "plafonds?")],
+  ["accent", words("accents?", "acentos?")],
+  ["door", words("doors?", "puertas?", "portes?")],
+  ["cabinet", words("cabinets?", "cabinetry", "gabinetes?", "armarios?", "armoires?", "placards?")],
+  ["lighting", words("light", "lighting", "daylight", "lamps?", "bulbs?", "luz", "iluminación", "lumière", "éclairage")],
+];
+
+/** The chapter a paragraph or sentence is about: the earliest keyword wins. */
+function chapterOf(text) {
+  let best = null;
+  for (const [id, pattern] of CHAPTER_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match && (!best || match.index < best.index)) best = { id, index: match.index };
+  }
+  return best?.id || null;
+}
+
+// Models sometimes add markdown despite the prompt
+const plain = text => text.replace(/[*#_`]+/g, "").replace(/\s+/g, " ").trim();
+
+function sentences(text) {
+  return (text.match(/[^.!?]+(?:[.!?]+["”»)]*|$)/g) || []).map(plain).filter(Boolean);
+}
+
+/**
+ * Splits narration into chapters. Paragraphs are the unit; single-paragraph narration is
+ * split by sentence instead. Units without a keyword stay with the chapter before them.
+ * @returns {{id: string, title: string, paragraphs: string[][]}[]} paragraphs as sentence lists
+ */
+export function splitNarration(text) {
+  const paragraphs = String(text || "").split(/\n\s*\n+/).map(p => p.trim()).filter(Boolean);
+  const units = paragraphs.length > 1 ? paragraphs.map(sentences) : sentences(paragraphs[0] || "").map(s => [s]);
+
+  const chapters = [];
+  units.filter(unit => unit.length).forEach((unit, i) => {
+    const id = i === 0 ? "intro" : chapterOf(unit.join(" "));
+    const last = chapters[chapters.length - 1];
+    if (last && (!id || id === last.id)) last.paragraphs.push(unit);
+    else chapters.push({ id, title: CHAPTER_TITLES[id], paragraphs: [unit] });
+  });
+  return chapters;
+}
+
+const escapeXml = text => text.replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "\"": "&quot;", "'": "&apos;" })[c]);
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function emphasizer(names) {
+  const unique = [...new Set(names.filter(n => n && n.trim().length > 2))].sort((a, b) => b.length - a.length);
+  if (!unique.length) return text => text;
+  // Not inside words or entities ("&amp;")
+  const pattern = new RegExp(`(?<![\\p{L}&])(?:${unique.map(n => escapeRegExp(escapeXml(n))).join("|")})(?!\\p{L})`, "giu");
+  return text => text.replace(pattern, match => `<emphasis level="moderate">${match}</emphasis>`);
+}
+
+/** Splits a sentence that alone exceeds the byte budget at word boundaries. */
+function fitSentence(sentence, budget) {
+  if (Buffer.byteLength(sentence) <= budget) return [sentence];
+  const pieces = [];
+  let piece = "";
+  for (const word of sentence.split(" ")) {
+    if (piece && Buffer.byteLength(`${piece} ${word}`) > budget) {
+      pieces.push(piece);
+      piece = word;
+    } else {
+      piece = piece ? `${piece} ${word}` : word;
+    }
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+/**
+ * SSML documents to synthesize, in order, each tagged with its chapter index.
+ * @param {ReturnType<typeof splitNarration>} chapters
+ * @param {{emphasize?: string[]}} options paint names to stress
+ * @returns {{chapter: number, ssml: string}[]}
+ */
+export function chaptersToSsml(chapters, { emphasize = [], maxBytes = MAX_SSML_BYTES } = {}) {
+  const stress = emphasizer(emphasize);
+  const speak = (body, chapterEnd = true) => `<speak>${body}${chapterEnd ? `<break time="${CHAPTER_PAUSE}"/>` : ""}</speak>`;
+  // Room for the wrapper tags and a worst-case run of emphasis tags
+  const budget = Math.floor((maxBytes - 200) / 2);
+  const chunks = [];
+
+  chapters.forEach((chapter, index) => {
+    let body = "";
+    const flush = chapterEnd => {
+      if (body) chunks.push({ chapter: index, ssml: speak(body, chapterEnd) });
+      body = "";
+    };
+    chapter.paragraphs.forEach((paragraph, p) => {
+      const parts = paragraph.flatMap(s => fitSentence(escapeXml(s), budget)).map(s => `<s>${stress(s)}</s>`);
+      let open = "";
+      for (const part of parts) {
+        if (Buffer.byteLength(speak(`${body}${open}${part}</p>`)) > maxBytes) {
+          if (open) body += `${open}</p>`;
+          flush(false);
+          open = "";
+        }
+        open = open ? open + part : `<p>${part}`;
+      }
+      if (open) body += `${open}</p>`;
+      if (p < chapter.paragraphs.length - 1) body += `<break time="${PARAGRAPH_PAUSE}"/>`;
+    });
+    flush(true);
+  });
+  return chunks;
+}
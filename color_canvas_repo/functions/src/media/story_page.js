@@ -0,0 +1,114 @@
+import { normalizeHex } from "../color/index.js";
+import { paletteItems } from "../pipeline/prompts.js";
+
+// ✅ Static share page for public stories, served by Hosting at /stories/{storyId}
+// (rewrite to the storyPage function). Self-contained: inline CSS, no app bundle.
+
+const escapeHtml = value => String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+// Stored hexes go into style attributes, where escaping doesn't stop CSS
+const cssColor = hex => normalizeHex(hex) || "transparent";
+const title = s => String(s || "").replace(/\b\w/g, c => c.toUpperCase());
+
+function swatches(items) {
+  return items.map(item => `
+      <figure class="swatch">
+        <div class="chip" style="background:${cssColor(item.hex)}"></div>
+        <figcaption><strong>${escapeHtml(item.hex)}</strong><br>${escapeHtml(item.name || "")}<br><span>${escapeHtml([item.brandName, item.code].filter(Boolean).join(" "))}</span></figcaption>
+      </figure>`).join("");
+}
+
+function guideRows(guide) {
+  return guide.map(row => `
+        <tr>
+          <td><span class="dot" style="background:${cssColor(row.hex)}"></span>${escapeHtml(title(row.role))}</td>
+          <td>${escapeHtml(row.name || row.hex)}<br><span>${escapeHtml([row.brandName, row.code].filter(Boolean).join(" "))}</span></td>
+          <td>${escapeHtml(row.surface)}</td>
+          <td>${escapeHtml([...new Set([row.finishRecommendation, row.sheen].filter(Boolean))].join(" / "))}</td>
+          <td>${escapeHtml(row.howToUse)}</td>
+        </tr>`).join("");
+}
+
+function chapterButtons(chapters) {
+  if (!chapters?.length) return "";
+  const buttons = chapters.map(c => `<button type="button" data-start="${Number(c.startMs) / 1000}">${escapeHtml(c.title || c.id)}</button>`).join("");
+  return `<nav class="chapters">${buttons}</nav>`;
+}
+
+/**
+ * @param {object} story story document (public)
+ * @param {{pageUrl: string, heroUrl?: string, audioUrl?: string, pdfUrl?: string}} urls permanent URLs
+ * @returns {string} HTML document
+ */
+export function renderStoryPage(story, { pageUrl, heroUrl, audioUrl, pdfUrl }) {
+  const name = story.name || "Color Story";
+  const subtitle = [title(story.room), title(story.style)].filter(Boolean).join(" · ");
+  const narration = String(story.narration || "").split(/\n\s*\n+/).filter(p => p.trim());
+  const description = narration[0]?.slice(0, 200) || subtitle;
+  const guide = story.usageGuide || [];
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(story.locale || "en-US")}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(name)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta property="og:type" content="article">
+  <meta property="og:title" content="${escapeHtml(name)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  ${heroUrl ? `<meta property="og:image" content="${escapeHtml(heroUrl)}">` : ""}
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <style>
+    body { margin: 0; font: 16px/1.6 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #202124; background: #FAFAF8; }
+    main { max-width: 960px; margin: 0 auto; padding: 32px 20px 64px; }
+    h1 { margin: 0; font-size: 2rem; } h2 { margin-top: 2.5rem; }
+    .sub, span { color: #5F6368; }
+    img.hero { width: 100%; border-radius: 12px; margin: 24px 0 8px; }
+    .swatches { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 16px; }
+    .swatch { margin: 0; font-size: .85rem; } .chip { height: 90px; border-radius: 8px; border: 1px solid #DDD; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    th, td { text-align: left; vertical-align: top; padding: 8px; border-bottom: 1px solid #E0E0E0; }
+    .dot { display: inline-block; width: 12px; height: 12px; border-radius: 50%; margin-right: 6px; border: 1px solid #CCC; }
+    audio { width: 100%; margin-top: 8px; }
+    .chapters button { margin: 4px 6px 0 0; padding: 4px 10px; border: 1px solid #CCC; border-radius: 16px; background: #FFF; cursor: pointer; }
+    .actions a { display: inline-block; margin-top: 16px; }
+    @media (max-width: 640px) { table, tbody, tr, td { display: block; } thead { display: none; } td { border: 0; padding: 2px 0; } tr { padding: 8px 0; border-bottom: 1px solid #E0E0E0; } }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(name)}</h1>
+    <div class="sub">${escapeHtml(subtitle)}</div>
+    ${heroUrl ? `<img class="hero" src="${escapeHtml(heroUrl)}" alt="${escapeHtml(`${name} – ${subtitle}`)}">` : ""}
+    ${audioUrl ? `<audio id="narration" controls preload="none" src="${escapeHtml(audioUrl)}"></audio>${chapterButtons(story.audioChapters)}` : ""}
+
+    <h2>Palette</h2>
+    <section class="swatches">${swatches(paletteItems(story))}
+    </section>
+${guide.length ? `
+    <h2>Usage guide</h2>
+    <table>
+      <thead><tr><th>Role</th><th>Paint</th><th>Surface</th><th>Finish / sheen</th><th>How to use</th></tr></thead>
+      <tbody>${guideRows(guide)}
+      </tbody>
+    </table>` : ""}
+${narration.length ? `
+    <h2>Narration</h2>
+    ${narration.map(p => `<p>${escapeHtml(p.trim())}</p>`).join("\n    ")}` : ""}
+
+    ${pdfUrl ? `<p class="actions"><a href="${escapeHtml(pdfUrl)}">Download the printable spec sheet (PDF)</a></p>` : ""}
+  </main>
+  <script>
+    document.querySelectorAll(".chapters button").forEach(function (b) {
+      b.addEventListener("click", function () {
+        var audio = document.getElementById("narration");
+        audio.currentTime = Number(b.dataset.start);
+        audio.play();
+      });
+    });
+  </script>
+</body>
+</html>
+`;
+}
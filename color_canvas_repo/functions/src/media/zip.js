@@ -0,0 +1,193 @@
+import zlib from "node:zlib";
+import { crc32 } from "./png.js";
+
+// ✅ Minimal ZIP reader/writer (deflate or stored entries, no ZIP64, no encryption).
+// Enough for Procreate .swatches files and data exports.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+
+// Upper bounds for reading; palette files are a few KB with a handful of entries
+export const MAX_ENTRY_BYTES = 8 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 16 * 1024 * 1024;
+export const MAX_ENTRIES = 1000;
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/** Local header, body and central-directory record for one entry written at `offset`. */
+function entryRecords(entry, offset, { time, day }) {
+  const name = Buffer.from(entry.name, "utf8");
+  const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf8");
+  const deflated = entry.compress === false ? null : zlib.deflateRawSync(data);
+  const stored = !deflated || deflated.length >= data.length;
+  const body = stored ? data : deflated;
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(LOCAL_HEADER, 0);
+  local.writeUInt16LE(20, 4); // version needed
+  local.writeUInt16LE(UTF8_NAMES, 6);
+  local.writeUInt16LE(stored ? 0 : 8, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(day, 12);
+  local.writeUInt32LE(crc32(data), 14);
+  local.writeUInt32LE(body.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(CENTRAL_HEADER, 0);
+  central.writeUInt16LE(20, 4); // version made by
+  local.copy(central, 6, 4, 30); // version needed … name length
+  central.writeUInt16LE(0, 30); // extra
+  central.writeUInt16LE(0, 32); // comment
+  central.writeUInt16LE(0, 34); // disk
+  central.writeUInt16LE(0, 36); // internal attributes
+  central.writeUInt32LE(0, 38); // external attributes
+  central.writeUInt32LE(offset, 42);
+
+  return { local: [local, name, body], central: Buffer.concat([central, name]), size: local.length + name.length + body.length };
+}
+
+function directoryEnd(count, directory, offset) {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+}
+
+/**
+ * @param {{name: string, data: Buffer|string, compress?: boolean}[]} entries `compress: false`
+ *   stores the entry as is (already compressed media)
+ * @param {{date?: Date}} opts modification time written for every entry
+ * @returns {Buffer} ZIP bytes
+ */
+export function createZip(entries, { date = new Date() } = {}) {
+  const stamp = dosDateTime(date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const records = entryRecords(entry, offset, stamp);
+    locals.push(...records.local);
+    centrals.push(records.central);
+    offset += records.size;
+  }
+  const directory = Buffer.concat(centrals);
+  return Buffer.concat([...locals, directory, directoryEnd(entries.length, directory, offset)]);
+}
+
+/**
+ * Writes a ZIP to `out` one entry at a time, so only the entry being added is in memory.
+ * Each write waits for the stream to take the chunk.
+ * @param {import("node:stream").Writable} out
+ * @returns {{add: (entry: {name: string, data: Buffer|string, compress?: boolean}) => Promise<void>, finish: () => Promise<number>}}
+ *   `finish` writes the directory, ends `out` and resolves with the ZIP's size once `out` has finished
+ */
+export function zipStream(out, { date = new Date() } = {}) {
+  const stamp = dosDateTime(date);
+  const centrals = [];
+  let offset = 0;
+  let failed = null;
+  out.on("error", err => { failed = err; });
+  const write = chunk => new Promise((resolve, reject) => {
+    if (failed) return reject(failed);
+    out.write(chunk, err => (err ? reject(err) : resolve()));
+  });
+
+  return {
+    async add(entry) {
+      const records = entryRecords(entry, offset, stamp);
+      for (const chunk of records.local) await write(chunk);
+      centrals.push(records.central);
+      offset += records.size;
+    },
+    async finish() {
+      const directory = Buffer.concat(centrals);
+      await write(Buffer.concat([directory, directoryEnd(centrals.length, directory, offset)]));
+      await new Promise((resolve, reject) => {
+        if (failed) return reject(failed);
+        out.once("finish", resolve);
+        out.once("error", reject);
+        out.end();
+      });
+      return offset + directory.length + 22;
+    },
+  };
+}
+
+/**
+ * Reads the central directory. Entries are inflated only when read, so a caller that needs
+ * one file never pays for the others.
+ * @returns {{names: string[], read: (name: string) => Buffer}} file entries (directories are skipped)
+ * @throws {Error} on anything that isn't a readable ZIP, more than MAX_ENTRIES entries or
+ *   entries that share their data; `read` throws once MAX_TOTAL_BYTES have been inflated
+ */
+export function openZip(buf) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a ZIP file");
+
+  const count = buf.readUInt16LE(end + 10);
+  if (count > MAX_ENTRIES) throw new Error(`Too many ZIP entries (${count}, at most ${MAX_ENTRIES})`);
+  let offset = buf.readUInt32LE(end + 16);
+  const entries = new Map();
+  const localOffsets = new Set();
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== CENTRAL_HEADER) throw new Error("Corrupt ZIP directory");
+    const method = buf.readUInt16LE(offset + 10);
+    const size = buf.readUInt32LE(offset + 20);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+    // Overlapping entries are how small files inflate to huge ones
+    if (localOffsets.has(localOffset)) throw new Error(`Corrupt ZIP: ${name} shares its data with another entry`);
+    localOffsets.add(localOffset);
+    entries.set(name, { method, size, localOffset });
+  }
+
+  let inflated = 0;
+  function read(name) {
+    const entry = entries.get(name);
+    if (!entry) throw new Error(`${name} is not in the ZIP`);
+    const { method, size, localOffset } = entry;
+    if (localOffset + 30 > buf.length || buf.readUInt32LE(localOffset) !== LOCAL_HEADER) throw new Error(`Corrupt ZIP entry ${name}`);
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    if (start + size > buf.length) throw new Error(`Corrupt ZIP entry ${name}`);
+    const body = buf.subarray(start, start + size);
+    const limit = Math.min(MAX_ENTRY_BYTES, MAX_TOTAL_BYTES - inflated);
+
+    let data;
+    if (method === 0) data = body;
+    else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(limit, 1) });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`ZIP entry ${name} is too large`);
+        throw err;
+      }
+    } else throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+    if (data.length > limit) throw new Error(`ZIP entry ${name} is too large`);
+    inflated += data.length;
+    return data;
+  }
+  return { names: [...entries.keys()], read };
+}
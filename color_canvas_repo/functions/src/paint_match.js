@@ -0,0 +1,99 @@
+import { hexToLab, deltaE2000, normalizeHex } from "./color/index.js";
+import { getCatalog, findByHex, resolveBrands, inBrands } from "./catalog.js";
+
+// ✅ Nearest-paint matching in CIELAB using ΔE2000
+
+// Above this ΔE2000 a "match" is a different color, so palette items are left as-is.
+export const MAX_ENRICH_DELTA_E = 8;
+
+// Names the app sends when the user never picked a paint
+const PLACEHOLDER_NAMES = ["untitled color", "untitled colour", "custom color"];
+
+const labCache = new WeakMap();
+
+function catalogLabs() {
+  const catalog = getCatalog();
+  if (!labCache.has(catalog)) {
+    labCache.set(catalog, catalog.paints.map(p => ({ paint: p, lab: hexToLab(p.hex) })));
+  }
+  return labCache.get(catalog);
+}
+
+/**
+ * The `limit` closest catalog paints to `hex`, optionally restricted to brand keys.
+ * @returns {Array<object>} paints with a `deltaE` field, closest first
+ */
+export function nearestPaints(hex, { brands = [], limit = 3 } = {}) {
+  const target = hexToLab(hex);
+  const best = [];
+  for (const { paint, lab } of catalogLabs()) {
+    if (!inBrands(paint, brands)) continue;
+    const d = deltaE2000(target, lab);
+    if (best.length < limit || d < best[best.length - 1].deltaE) {
+      best.push({ ...paint, deltaE: d });
+      best.sort((a, b) => a.deltaE - b.deltaE);
+      if (best.length > limit) best.pop();
+    }
+  }
+  return best.map(p => ({ ...p, deltaE: Math.round(p.deltaE * 100) / 100 }));
+}
+
+/** Closest paint in every catalog brand, e.g. the Behr and BM equivalents of an SW color. */
+export function brandEquivalents(hex) {
+  const equivalents = {};
+  for (const [brand, paints] of getCatalog().byBrand) {
+    const [match] = nearestPaints(hex, { brands: [brand], limit: 1 });
+    if (match) equivalents[paints[0].brandName] = match;
+  }
+  return equivalents;
+}
+
+/**
+ * Matches each hex against the catalog.
+ * @param {string[]} hexes
+ * @param {{brandHints?: string[], limit?: number, crossBrand?: boolean}} opts
+ */
+export function matchPaints(hexes, { brandHints = [], limit = 3, crossBrand = true } = {}) {
+  const brands = resolveBrands(brandHints);
+  return hexes.map(raw => {
+    const hex = normalizeHex(raw);
+    return {
+      hex,
+      nearest: nearestPaints(hex, { brands, limit }),
+      ...(crossBrand ? { equivalents: brandEquivalents(hex) } : {}),
+    };
+  });
+}
+
+function closestPaint(hex, brands) {
+  const [exact] = findByHex(hex, { brands });
+  if (exact) return { ...exact, deltaE: 0 };
+  const [near] = nearestPaints(hex, { brands, limit: 1 });
+  return near && near.deltaE <= MAX_ENRICH_DELTA_E ? near : null;
+}
+
+/**
+ * Fills brandName/name/code on palette items that only carry a hex:
+ * exact catalog hit first, otherwise the nearest paint within MAX_ENRICH_DELTA_E.
+ * Hinted brands are searched before the rest of the catalog.
+ * Approximate matches keep the user's hex and record the match.
+ */
+export function enrichPaletteItems(items, { brandHints = [] } = {}) {
+  const brands = resolveBrands(brandHints);
+  return items.map(item => {
+    const name = PLACEHOLDER_NAMES.includes(String(item.name || "").trim().toLowerCase()) ? "" : item.name;
+    if (name && item.code && item.brandName) return item;
+
+    const match = closestPaint(item.hex, brands) || (brands.length ? closestPaint(item.hex, []) : null);
+    if (!match) return item;
+
+    return {
+      ...item,
+      brandName: item.brandName || match.brandName,
+      name: name || match.name,
+      code: item.code || match.code,
+      paintId: match.id,
+      ...(match.deltaE > 0 ? { matchedHex: match.hex, deltaE: match.deltaE } : {}),
+    };
+  });
+}
@@ -0,0 +1,171 @@
+import { normalizeHex, hexToXyz, hexToLab, labToLch, contrastRatio, deltaE2000 } from "./color/index.js";
+import { assignRoles, normalizeRoom } from "./usage_guide.js";
+
+// ✅ Objective palette metrics: LRV, WCAG contrast, temperature/undertone, harmony and role warnings
+
+const CHROMATIC_MIN = 10; // below this chroma a color reads as a neutral
+const round = (v, d = 1) => Math.round(v * 10 ** d) / 10 ** d;
+
+function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+}
+
+// Reds, oranges and yellows read warm; greens, blues and violets read cool (CIELAB hue angles)
+function temperatureOf({ C, h }) {
+  if (C < 4) return "neutral";
+  return h < 95 || h >= 330 ? "warm" : "cool";
+}
+
+function undertoneOf({ C, h }) {
+  if (C < 2) return "gray";
+  if (h >= 345 || h < 30) return "pink";
+  if (h < 65) return "peach";
+  if (h < 95) return "yellow";
+  if (h < 180) return "green";
+  if (h < 310) return "blue";
+  return "violet";
+}
+
+/** Light Reflectance Value estimate (CIE Y × 100), 0 = black, 100 = perfect white. */
+export function estimateLrv(hex) {
+  return round(hexToXyz(hex).y * 100);
+}
+
+/**
+ * Classifies the hue relationship of the chromatic colors.
+ * @returns {{type: string, hues: number[]}}
+ */
+export function classifyHarmony(colors) {
+  const hues = colors.filter(c => c.C >= CHROMATIC_MIN).map(c => c.h).sort((a, b) => a - b);
+  if (hues.length === 0) return { type: "neutral", hues };
+  if (hues.length === 1) return { type: "accented-neutral", hues };
+
+  // Cluster hues that sit within 30° of each other
+  const clusters = [];
+  for (const h of hues) {
+    const hit = clusters.find(c => hueDistance(c.center, h) <= 30);
+    if (hit) {
+      hit.members.push(h);
+      hit.center = hit.members.reduce((s, v) => s + v, 0) / hit.members.length;
+    } else {
+      clusters.push({ center: h, members: [h] });
+    }
+  }
+  const centers = clusters.map(c => c.center).sort((a, b) => a - b);
+  const spread = Math.max(...centers.flatMap(a => centers.map(b => hueDistance(a, b))));
+
+  let type = "mixed";
+  if (centers.length === 1) type = "monochromatic";
+  else if (spread <= 75) type = "analogous";
+  else if (centers.length === 2) type = spread >= 150 ? "complementary" : "contrasting";
+  else if (centers.length === 3) {
+    const gaps = centers.map((c, i) => hueDistance(c, centers[(i + 1) % 3])).sort((a, b) => a - b);
+    if (gaps.every(g => g >= 90 && g <= 150)) type = "triadic";
+    else if (gaps[0] >= 30 && gaps[0] <= 90 && gaps[1] >= 120 && gaps[2] >= 120) type = "split-complementary";
+  } else if (centers.length === 4) {
+    const complements = centers.filter(a => centers.some(b => hueDistance(a, b) >= 150));
+    if (complements.length === 4) type = "tetradic";
+  }
+  return { type, hues: centers.map(h => round(h, 0)) };
+}
+
+function roleWarnings(roles, byHex) {
+  const warnings = [];
+  const get = role => roles.find(r => r.role === role)?.color.hex;
+  const main = get("main");
+  const trim = get("trim");
+  const ceiling = get("ceiling");
+  const accent = get("accent");
+
+  if (main && trim) {
+    if (main === trim) {
+      warnings.push({ code: "trim-equals-main", message: "Trim and main walls use the same color; trim will not stand out." });
+    } else if (contrastRatio(main, trim) < 1.25) {
+      warnings.push({ code: "trim-main-too-close", message: `Trim (${trim}) and main (${main}) are too close in value to read as separate surfaces.` });
+    }
+  }
+  if (main && ceiling && byHex[ceiling].lrv < byHex[main].lrv) {
+    warnings.push({ code: "ceiling-darker-than-walls", message: `Ceiling (${ceiling}) is darker than the main walls (${main}), which lowers the room visually.` });
+  }
+  if (main && byHex[main].lrv < 15) {
+    warnings.push({ code: "dark-main", message: `Main wall color ${main} has an LRV of ${byHex[main].lrv}; the room will need strong lighting.` });
+  }
+  if (main && accent && main !== accent && deltaE2000(byHex[main].lab, byHex[accent].lab) < 5) {
+    warnings.push({ code: "accent-too-subtle", message: `Accent (${accent}) is barely distinguishable from the main walls (${main}).` });
+  }
+  return warnings;
+}
+
+/**
+ * Analyzes a palette.
+ * @param {string[]} hexes
+ * @param {{room?: string}} opts room tunes the suggested roles
+ */
+export function analyzePalette(hexes, { room } = {}) {
+  const unique = [...new Set(hexes.map(normalizeHex).filter(Boolean))];
+  if (!unique.length) throw new Error("analyzePalette: no valid hex colors");
+
+  const colors = unique.map(hex => {
+    const lab = hexToLab(hex);
+    const lch = labToLch(lab);
+    return {
+      hex,
+      lab,
+      lrv: estimateLrv(hex),
+      L: round(lch.L),
+      C: round(lch.C),
+      h: round(lch.h, 0),
+      temperature: temperatureOf(lch),
+      undertone: undertoneOf(lch),
+    };
+  });
+  const byHex = Object.fromEntries(colors.map(c => [c.hex, c]));
+
+  const pairs = [];
+  const warnings = [];
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const a = colors[i];
+      const b = colors[j];
+      const deltaE = round(deltaE2000(a.lab, b.lab));
+      pairs.push({ a: a.hex, b: b.hex, contrastRatio: round(contrastRatio(a.hex, b.hex), 2), deltaE });
+      if (deltaE < 2) {
+        warnings.push({ code: "near-duplicate", message: `${a.hex} and ${b.hex} are nearly identical (ΔE ${deltaE}).` });
+      }
+    }
+  }
+
+  const neutrals = colors.filter(c => c.C < CHROMATIC_MIN && c.temperature !== "neutral");
+  if (new Set(neutrals.map(c => c.temperature)).size > 1) {
+    warnings.push({ code: "mixed-undertones", message: "The neutrals mix warm and cool undertones; they may clash side by side." });
+  }
+
+  const roles = assignRoles(unique.map(hex => ({ hex })), normalizeRoom(room));
+  warnings.push(...roleWarnings(roles, byHex));
+
+  return {
+    colors: colors.map(({ lab, ...rest }) => rest),
+    contrast: pairs,
+    harmony: classifyHarmony(colors),
+    suggestedRoles: Object.fromEntries(roles.map(r => [r.role, r.color.hex])),
+    warnings,
+  };
+}
+
+/** Compact plain-text version for prompts. */
+export function analysisForPrompt(analysis) {
+  if (!analysis) return "";
+  const colors = analysis.colors
+    .map(c => `${c.hex} LRV ${c.lrv}, ${c.temperature}, ${c.undertone} undertone`)
+    .join("; ");
+  const roles = Object.entries(analysis.suggestedRoles).map(([role, hex]) => `${role}=${hex}`).join(", ");
+  const lines = [
+    `Measured palette data (use it, do not contradict it): ${colors}.`,
+    `Harmony: ${analysis.harmony.type}. Suggested roles by lightness/contrast: ${roles}.`,
+  ];
+  if (analysis.warnings.length) {
+    lines.push(`Watch-outs: ${analysis.warnings.map(w => w.message).join(" ")}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,111 @@
+import { hexToRgb, rgbToHex, labToHex } from "../color/index.js";
+
+// ✅ Adobe Swatch Exchange (.ase), version 1.0: big-endian blocks of group start/end and
+// color entries. Names are UTF-16BE with a trailing NUL; values are float32.
+
+const GROUP_START = 0xc001;
+const GROUP_END = 0xc002;
+const COLOR_ENTRY = 0x0001;
+const NORMAL_COLOR = 2;
+
+function readName(buf, offset) {
+  const length = buf.readUInt16BE(offset); // UTF-16 code units, including the NUL
+  const units = [];
+  for (let i = 0; i < length; i++) units.push(buf.readUInt16BE(offset + 2 + i * 2));
+  return { name: String.fromCharCode(...units).replace(/\0+$/, ""), end: offset + 2 + length * 2 };
+}
+
+function colorHex(model, values) {
+  switch (model) {
+    case "RGB ":
+      return rgbToHex(values.map(v => v * 255));
+    case "CMYK": {
+      const [c, m, y, k] = values;
+      return rgbToHex([c, m, y].map(v => 255 * (1 - v) * (1 - k)));
+    }
+    case "Gray":
+      return rgbToHex([values[0], values[0], values[0]].map(v => v * 255));
+    case "LAB ":
+      // L is stored as a fraction of 100
+      return labToHex({ L: values[0] * 100, a: values[1], b: values[2] });
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {{name: string, colors: {hex: string, name: string}[]}[]} one palette per group,
+ *   plus one named `fallbackName` for colors outside any group
+ */
+export function parseAse(buf, { fallbackName = "Imported swatches" } = {}) {
+  if (buf.length < 12 || buf.toString("latin1", 0, 4) !== "ASEF") throw new Error("Not an Adobe Swatch Exchange file");
+  const blocks = buf.readUInt32BE(8);
+  const loose = { name: fallbackName, colors: [] };
+  const palettes = [];
+  let group = null;
+  let offset = 12;
+
+  for (let i = 0; i < blocks && offset + 6 <= buf.length; i++) {
+    const type = buf.readUInt16BE(offset);
+    const length = buf.readUInt32BE(offset + 2);
+    const body = offset + 6;
+    offset = body + length;
+    if (offset > buf.length) throw new Error("Truncated swatch file");
+
+    if (type === GROUP_START) {
+      group = { name: readName(buf, body).name || fallbackName, colors: [] };
+      palettes.push(group);
+    } else if (type === GROUP_END) {
+      group = null;
+    } else if (type === COLOR_ENTRY) {
+      const { name, end } = readName(buf, body);
+      const model = buf.toString("latin1", end, end + 4);
+      const count = { "RGB ": 3, "LAB ": 3, CMYK: 4, Gray: 1 }[model] || 0;
+      const values = Array.from({ length: count }, (_, k) => buf.readFloatBE(end + 4 + k * 4));
+      const hex = colorHex(model, values);
+      if (hex) (group || loose).colors.push({ hex, name });
+    }
+  }
+  if (loose.colors.length) palettes.unshift(loose);
+  return palettes.filter(p => p.colors.length);
+}
+
+function nameBytes(name) {
+  const text = `${name}\0`;
+  const out = Buffer.alloc(2 + text.length * 2);
+  out.writeUInt16BE(text.length, 0);
+  for (let i = 0; i < text.length; i++) out.writeUInt16BE(text.charCodeAt(i), 2 + i * 2);
+  return out;
+}
+
+function block(type, body) {
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt32BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * One group named after the palette, RGB entries named by `label`.
+ * @param {{name: string, colors: {hex: string}[]}} palette
+ * @param {(color: object) => string} label
+ */
+export function writeAse(palette, label) {
+  const blocks = [block(GROUP_START, nameBytes(palette.name))];
+  for (const color of palette.colors) {
+    const values = Buffer.alloc(12);
+    hexToRgb(color.hex).forEach((v, i) => values.writeFloatBE(v / 255, i * 4));
+    const type = Buffer.alloc(2);
+    type.writeUInt16BE(NORMAL_COLOR);
+    blocks.push(block(COLOR_ENTRY, Buffer.concat([nameBytes(label(color)), Buffer.from("RGB ", "latin1"), values, type])));
+  }
+  blocks.push(block(GROUP_END, Buffer.alloc(0)));
+
+  const header = Buffer.alloc(12);
+  header.write("ASEF", 0, "latin1");
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(0, 6);
+  header.writeUInt32BE(blocks.length, 8);
+  return Buffer.concat([header, ...blocks]);
+}
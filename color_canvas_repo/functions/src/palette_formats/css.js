@@ -0,0 +1,45 @@
+import { rgbToHex, normalizeHex } from "../color/index.js";
+
+// ✅ CSS custom properties: one `--{palette}-{n}` variable per color with its paint in a
+// trailing comment, plus usage-guide role aliases (`--{palette}-main: var(--{palette}-1)`) for stories.
+
+export const slug = text => String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "palette";
+
+const comment = text => String(text).replace(/\*\//g, "* /");
+
+function cssHex(value) {
+  const v = value.trim();
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(v);
+  if (short) return normalizeHex(`#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`);
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(v)) return normalizeHex(v.slice(0, 7));
+  const rgb = /^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})/i.exec(v);
+  return rgb ? rgbToHex(rgb.slice(1, 4).map(Number)) : null;
+}
+
+export function parseCss(text, { fallbackName = "Imported palette" } = {}) {
+  const source = String(text);
+  const title = /^\s*\/\*\s*([^\n*]+?)\s*(?:\n|\*\/)/.exec(source);
+  const palette = { name: title?.[1] || fallbackName, colors: [] };
+  const declaration = /--([\w-]+)\s*:\s*([^;]+);[ \t]*(?:\/\*\s*(.*?)\s*\*\/)?/g;
+  for (const [, variable, value, note] of source.matchAll(declaration)) {
+    const hex = cssHex(value);
+    if (hex) palette.colors.push({ hex, name: note || variable.replace(/-/g, " ") });
+  }
+  return palette.colors.length ? [palette] : [];
+}
+
+export function writeCss(palette, label) {
+  const prefix = slug(palette.name);
+  const lines = [`/* ${comment(palette.name)}`, " * Exported from Color Canvas; each color's paint is noted beside it. */", ":root {"];
+  palette.colors.forEach((color, i) => {
+    lines.push(`  --${prefix}-${i + 1}: ${color.hex}; /* ${comment(label(color))} */`);
+  });
+  const roles = palette.colors.flatMap((c, i) => (c.roles || []).map(role => [role, i]));
+  if (roles.length) {
+    lines.push("");
+    for (const [role, i] of roles) lines.push(`  --${prefix}-${slug(role)}: var(--${prefix}-${i + 1});`);
+  }
+  lines.push("}", "");
+  return lines.join("\n");
+}
@@ -0,0 +1,29 @@
+import { hexToRgb, rgbToHex } from "../color/index.js";
+
+// ✅ GIMP palette (.gpl): a "GIMP Palette" header, optional Name:/Columns: lines, then
+// "R G B<tab>name" rows. Inkscape, Krita and Aseprite read the same format.
+
+export function parseGpl(text, { fallbackName = "Imported palette" } = {}) {
+  const lines = String(text).replace(/^\uFEFF/, "").split(/\r?\n/);
+  if (!/^GIMP Palette\s*$/.test(lines[0] || "")) throw new Error("Missing \"GIMP Palette\" header");
+  const palette = { name: fallbackName, colors: [] };
+  for (const line of lines.slice(1)) {
+    const header = /^Name:\s*(.+)$/.exec(line);
+    if (header) {
+      palette.name = header[1].trim();
+      continue;
+    }
+    const row = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s+(.*))?$/.exec(line);
+    if (!row) continue; // comments, Columns:, blank lines
+    palette.colors.push({ hex: rgbToHex(row.slice(1, 4).map(Number)), name: (row[4] || "").trim() });
+  }
+  return palette.colors.length ? [palette] : [];
+}
+
+export function writeGpl(palette, label) {
+  const rows = palette.colors.map(color => {
+    const rgb = hexToRgb(color.hex).map(v => String(v).padStart(3, " ")).join(" ");
+    return `${rgb}\t${label(color).replace(/[\r\n\t]+/g, " ")}`;
+  });
+  return ["GIMP Palette", `Name: ${palette.name.replace(/[\r\n]+/g, " ")}`, "Columns: 0", "#", ...rows, ""].join("\n");
+}
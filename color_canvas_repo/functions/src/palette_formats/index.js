@@ -0,0 +1,139 @@
+import * as functions from "firebase-functions";
+import { normalizeCode, findByHex, resolveBrands } from "../catalog.js";
+import { enrichPaletteItems } from "../paint_match.js";
+import { normalizeHex } from "../color/index.js";
+import { paletteItems } from "../pipeline/prompts.js";
+import { parseAse, writeAse } from "./ase.js";
+import { parseGpl, writeGpl } from "./gpl.js";
+import { parseSwatches, writeSwatches } from "./swatches.js";
+import { parseCss, writeCss, slug } from "./css.js";
+import { parseJson, writeJson } from "./json.js";
+
+// ✅ Palette interchange: every format parses to and writes from one shape,
+// `{name, colors: [{hex, name?, brandName?, code?, paintId?, roles?}]}`.
+// Formats without brand/code fields carry them in the swatch name (see colorLabel).
+
+export const MAX_IMPORTED_PALETTES = 20;
+export const MAX_IMPORTED_COLORS = 100;
+
+/** "Garden (Benjamin Moore 466)": how paints are named in formats without brand/code fields. */
+export function colorLabel(color) {
+  const paint = [color.brandName, color.code].filter(Boolean).join(" ");
+  if (color.name && paint) return `${color.name} (${paint})`;
+  return color.name || paint || color.hex;
+}
+
+export const PALETTE_FORMATS = {
+  ase: { extension: "ase", mimeType: "application/octet-stream", binary: true, parse: parseAse, write: p => writeAse(p, colorLabel) },
+  gpl: { extension: "gpl", mimeType: "text/plain", parse: parseGpl, write: p => writeGpl(p, colorLabel) },
+  swatches: { extension: "swatches", mimeType: "application/zip", binary: true, parse: parseSwatches, write: writeSwatches },
+  css: { extension: "css", mimeType: "text/css", parse: parseCss, write: p => writeCss(p, colorLabel) },
+  json: { extension: "json", mimeType: "application/json", parse: parseJson, write: writeJson },
+};
+
+/**
+ * Decodes an uploaded file into palettes.
+ * @param {string} format key of PALETTE_FORMATS
+ * @param {string} data file contents: base64 for binary formats, text otherwise unless `encoding` says base64
+ * @throws {functions.https.HttpsError} invalid-argument for unreadable or empty files
+ */
+export function parsePaletteFile(format, data, { encoding, fallbackName } = {}) {
+  const spec = PALETTE_FORMATS[format];
+  const base64 = (encoding || (spec.binary ? "base64" : "utf8")) === "base64";
+  const bytes = base64 ? Buffer.from(data, "base64") : Buffer.from(data, "utf8");
+  let palettes;
+  try {
+    palettes = spec.parse(spec.binary ? bytes : bytes.toString("utf8"), { fallbackName });
+  } catch (err) {
+    throw new functions.https.HttpsError("invalid-argument", `Could not read the ${format} file: ${err.message}`);
+  }
+  if (!palettes.length) {
+    throw new functions.https.HttpsError("invalid-argument", `The ${format} file has no colors`);
+  }
+  if (palettes.length > MAX_IMPORTED_PALETTES || palettes.some(p => p.colors.length > MAX_IMPORTED_COLORS)) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      `Imports are limited to ${MAX_IMPORTED_PALETTES} palettes of ${MAX_IMPORTED_COLORS} colors`
+    );
+  }
+  return palettes;
+}
+
+/**
+ * Catalog paints for imported colors. An exact hex hit wins, preferring the paint the swatch
+ * name mentions; otherwise the nearest paint within ΔE (enrichPaletteItems), keeping the
+ * file's hex. Colors with no close paint keep their file name.
+ */
+export function matchImportedColors(colors, { brandHints = [] } = {}) {
+  const brands = resolveBrands(brandHints);
+  return colors.map(({ hex, name = "", brandName, code }) => {
+    const label = `${name} ${brandName || ""} ${code || ""}`.toLowerCase();
+    const hinted = findByHex(hex, { brands });
+    const exact = hinted.length ? hinted : findByHex(hex);
+    const named = exact.find(p => label.includes(p.name.toLowerCase()) || (p.code && normalizeCode(label).includes(normalizeCode(p.code))));
+    const paint = named || exact[0];
+    if (paint) {
+      const renamed = name && !named ? { sourceName: name } : {};
+      return { hex, brandName: paint.brandName, name: paint.name, code: paint.code, paintId: paint.id, ...renamed };
+    }
+
+    const [item] = enrichPaletteItems([{ hex }], { brandHints });
+    if (!item.paintId) return { hex, name, brandName: brandName || "", code: code || "" };
+    return { ...item, ...(name && !label.includes(item.name.toLowerCase()) ? { sourceName: name } : {}) };
+  });
+}
+
+/** `palettes/{id}.colors` entries, as the app's PaletteColor model stores them. */
+export function paletteDocColors(items) {
+  return items.map((item, position) => ({
+    paintId: item.paintId || "",
+    locked: false,
+    position,
+    brand: item.brandName || null,
+    name: item.name || "",
+    code: item.code || "",
+    hex: item.hex,
+    ...(item.matchedHex ? { matchedHex: item.matchedHex, deltaE: item.deltaE } : {}),
+    ...(item.sourceName ? { sourceName: item.sourceName } : {}),
+  }));
+}
+
+/** A `palettes` document in the interchange shape. */
+export function paletteFromDoc(doc) {
+  const colors = [...(doc.colors || [])].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  return {
+    name: doc.name || "Palette",
+    colors: colors
+      .map(c => ({ hex: normalizeHex(c.hex), brandName: c.brand || "", name: c.name || "", code: c.code || "", paintId: c.paintId || "" }))
+      .filter(c => c.hex),
+  };
+}
+
+/** A story's palette in the interchange shape, with its usage-guide roles. */
+export function paletteFromStory(story) {
+  const guide = story.usageGuide || [];
+  return {
+    name: story.name || story.palette?.name || "Color Story",
+    colors: paletteItems(story).filter(item => normalizeHex(item.hex)).map(item => ({
+      hex: normalizeHex(item.hex),
+      brandName: item.brandName || "",
+      name: item.name || "",
+      code: item.code || "",
+      paintId: item.paintId || "",
+      roles: guide.filter(row => String(row.hex).toUpperCase() === String(item.hex).toUpperCase()).map(row => row.role),
+    })),
+  };
+}
+
+/**
+ * @returns {{fileName: string, mimeType: string, data: Buffer}}
+ */
+export function serializePalette(format, palette, meta = {}) {
+  const spec = PALETTE_FORMATS[format];
+  const data = spec.write(palette, meta);
+  return {
+    fileName: `${slug(palette.name)}.${spec.extension}`,
+    mimeType: spec.mimeType,
+    data: Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8"),
+  };
+}
@@ -0,0 +1,34 @@
+import { normalizeHex } from "../color/index.js";
+import { PaletteFile } from "../schemas.js";
+
+// ✅ Color Canvas palette JSON (documented in GENKIT_SETUP.md). Imports take one palette
+// object or an array of them.
+
+export const JSON_FORMAT_ID = "colorcanvas.palette";
+
+export function parseJson(text, { fallbackName = "Imported palette" } = {}) {
+  const json = JSON.parse(String(text));
+  return (Array.isArray(json) ? json : [json]).map((entry, i) => {
+    const parsed = PaletteFile.safeParse(entry);
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      throw new Error(`Palette ${i + 1}: ${issue.path.join(".") || "palette"}: ${issue.message}`);
+    }
+    const { name, colors } = parsed.data;
+    return {
+      name: entry.name ? name : fallbackName,
+      colors: colors.map(c => ({ ...c, hex: normalizeHex(c.hex.startsWith("#") ? c.hex : `#${c.hex}`) })),
+    };
+  });
+}
+
+/**
+ * @param {{name: string, colors: object[]}} palette
+ * @param {{source?: {type: "palette"|"story", id: string}, exportedAt?: Date}} meta
+ */
+export function writeJson(palette, { source, exportedAt = new Date() } = {}) {
+  const keys = ["hex", "brandName", "name", "code", "paintId", "roles"];
+  const colors = palette.colors.map(c => Object.fromEntries(keys.filter(k => c[k]?.length).map(k => [k, c[k]])));
+  const file = { format: JSON_FORMAT_ID, version: 1, name: palette.name, source, exportedAt: exportedAt.toISOString(), colors };
+  return `${JSON.stringify(file, null, 2)}\n`;
+}
@@ -0,0 +1,49 @@
+import { hexToRgb, rgbToHex } from "../color/index.js";
+import { openZip, createZip } from "../media/zip.js";
+
+// ✅ Procreate palettes (.swatches): a ZIP holding Swatches.json, an array of palettes
+// whose swatches are HSB in 0–1 (empty slots are null). Procreate palettes have 30 slots
+// and no per-swatch names, so brand/name/code don't survive this format.
+
+export const PROCREATE_SLOTS = 30;
+
+function hsbToHex({ hue = 0, saturation = 0, brightness = 0 }) {
+  const h = (((hue % 1) + 1) % 1) * 6;
+  const c = brightness * saturation;
+  const x = c * (1 - Math.abs((h % 2) - 1));
+  const m = brightness - c;
+  const [r, g, b] = [[c, x, 0], [x, c, 0], [0, c, x], [0, x, c], [x, 0, c], [c, 0, x]][Math.floor(h) % 6];
+  return rgbToHex([r + m, g + m, b + m].map(v => v * 255));
+}
+
+function hexToHsb(hex) {
+  const [r, g, b] = hexToRgb(hex).map(v => v / 255);
+  const max = Math.max(r, g, b);
+  const delta = max - Math.min(r, g, b);
+  let hue = 0;
+  if (delta) {
+    if (max === r) hue = ((g - b) / delta + 6) % 6;
+    else if (max === g) hue = (b - r) / delta + 2;
+    else hue = (r - g) / delta + 4;
+  }
+  return { hue: hue / 6, saturation: max ? delta / max : 0, brightness: max };
+}
+
+export function parseSwatches(buf, { fallbackName = "Imported swatches" } = {}) {
+  const zip = openZip(buf);
+  const entry = zip.names.find(name => name.split("/").pop() === "Swatches.json");
+  if (!entry) throw new Error("Swatches.json not found in the .swatches file");
+  const json = JSON.parse(zip.read(entry).toString("utf8"));
+  return (Array.isArray(json) ? json : [json])
+    .map(p => ({
+      name: String(p?.name || fallbackName),
+      colors: (p?.swatches || []).filter(s => s && typeof s === "object").map(s => ({ hex: hsbToHex(s), name: "" })),
+    }))
+    .filter(p => p.colors.length);
+}
+
+export function writeSwatches(palette) {
+  const swatches = palette.colors.slice(0, PROCREATE_SLOTS).map(c => ({ ...hexToHsb(c.hex), alpha: 1, colorSpace: 0 }));
+  const json = JSON.stringify([{ name: palette.name, swatches }]);
+  return createZip([{ name: "Swatches.json", data: json }]);
+}
@@ -0,0 +1,313 @@
+import { normalizeHex, hexToLab, hexToXyz, labToLch, lchToLab, deltaE2000 } from "./color/index.js";
+import { getCatalog, paintsForBrands } from "./catalog.js";
+import { enrichPaletteItems } from "./paint_match.js";
+
+// ✅ Palette roller: server port of lib/utils/palette_generator.dart (rollPalette).
+// Same harmony targets, LRV banding and Designer beam search, but driven by a seeded
+// PRNG so a (seed, input) pair always produces the same palette.
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+const mod360 = h => ((h % 360) + 360) % 360;
+
+/** Unsigned 32-bit seed from a number or string (FNV-1a for strings). */
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  let hash = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** mulberry32: small, fast and good enough for picking paints. Returns floats in [0, 1). */
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomInt = (rng, n) => Math.floor(rng() * n);
+
+// Lab/LCh/LRV per catalog paint, computed once per loaded catalog
+const entryCache = new WeakMap();
+
+function toEntry(paint) {
+  const lab = hexToLab(paint.hex);
+  return { paint, lab, lch: labToLch(lab), lrv: hexToXyz(paint.hex).y * 100 };
+}
+
+function catalogEntries(brands) {
+  const catalog = getCatalog();
+  if (!entryCache.has(catalog)) entryCache.set(catalog, new Map());
+  const byId = entryCache.get(catalog);
+  return paintsForBrands(brands).map(p => {
+    if (!byId.has(p.id)) byId.set(p.id, toEntry(p));
+    return byId.get(p.id);
+  });
+}
+
+// CIE L* for a luminance given as LRV (0–100)
+function lrvToLightness(lrv) {
+  const y = clamp(lrv, 0, 100) / 100;
+  return y > 0.008856 ? 116 * Math.cbrt(y) - 16 : 903.3 * y;
+}
+
+// ✅ Harmony targets (five per mode, remapped to the requested size)
+function neutralTargets(L, C, h) {
+  const steps = [Math.max(20, L - 30), Math.max(10, L - 15), L, Math.min(90, L + 15), Math.min(95, L + 30)];
+  return steps.map((l, i) => ({ L: l, C: Math.max(5, C * (0.3 + 0.1 * i)), h: mod360(h + (i - 2) * 10) }));
+}
+
+function analogousTargets(L, C, h) {
+  return [0, 1, 2, 3, 4].map(i => ({
+    L: clamp(L + (i - 2) * 10, 0, 100),
+    C: Math.max(0, C * (0.7 + 0.1 * i)),
+    h: mod360(h + (i - 2) * 30),
+  }));
+}
+
+function complementaryTargets(L, C, h) {
+  const comp = mod360(h + 180);
+  const hues = [h, h, comp, comp, (h + comp) / 2];
+  return hues.map((hue, i) => ({
+    L: clamp(L + (i - 2) * 8, 0, 100),
+    C: Math.max(0, C * (0.8 + 0.1 * (i % 2))),
+    h: mod360(hue),
+  }));
+}
+
+function triadTargets(L, C, h) {
+  const hues = [h, h + 120, h + 240, h, h + 60];
+  return hues.map((hue, i) => ({
+    L: clamp(L + (i - 2) * 8, 0, 100),
+    C: Math.max(0, C * (0.7 + 0.15 * (i % 2))),
+    h: mod360(hue),
+  }));
+}
+
+const TARGETS = {
+  neutral: neutralTargets,
+  analogous: analogousTargets,
+  complementary: complementaryTargets,
+  triad: triadTargets,
+};
+
+function remapTargets(base5, size) {
+  if (size === 5) return base5;
+  if (size === 1) return [base5[2]];
+  if (size === 2) return [base5[0], base5[4]];
+  return Array.from({ length: size }, (_, i) => base5[clamp(Math.round((i * 4) / (size - 1)), 0, 4)]);
+}
+
+// Size-based LRV ladder for Designer mode: top ≈ 92, bottom ≈ 8, tighter at the ends
+function lrvBandsForSize(size) {
+  if (size === 1) return [[45, 65]];
+  const step = (92 - 8) / (size - 1);
+  return Array.from({ length: size }, (_, i) => {
+    const t = 92 - i * step;
+    const tol = t > 80 || t < 20 ? 4 : 7;
+    return [clamp(t - tol, 0, 100), clamp(t + tol, 0, 100)];
+  });
+}
+
+function designerTargets(size, seedLch) {
+  return lrvBandsForSize(size).map(([lo, hi], i) => {
+    const swing = (i % 2 === 0 ? 1 : -1) * (12 + i * 2);
+    return { L: lrvToLightness((lo + hi) / 2), C: clamp(seedLch.C, 8, 40), h: mod360(seedLch.h + swing) };
+  });
+}
+
+function byDistance(target, entries) {
+  return entries
+    .map(e => ({ entry: e, d: deltaE2000(target, e.lab) }))
+    .sort((x, y) => x.d - y.d);
+}
+
+// ✅ Harmony modes: per-slot LRV bands derived from locked slots (index 0 = lightest)
+function rollHarmony({ entries, anchors, mode, diversifyBrands, rng }) {
+  const size = anchors.length;
+  const seed = anchors.find(Boolean) || entries[randomInt(rng, entries.length)];
+  const hueOffset = rng() * 60 - 30;
+  const lightnessOffset = rng() * 20 - 10;
+  const base = TARGETS[mode](seed.lch.L + lightnessOffset, seed.lch.C, seed.lch.h + hueOffset);
+
+  // Shuffle the remapped targets so the layout feels organic, like the app
+  const targets = remapTargets(base, size).map(t => lchToLab(t));
+  for (let i = targets.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [targets[i], targets[j]] = [targets[j], targets[i]];
+  }
+
+  const lrvs = entries.map(e => e.lrv);
+  const minLrv = Array(size).fill(Math.min(...lrvs));
+  const maxLrv = Array(size).fill(Math.max(...lrvs));
+  anchors.forEach((anchor, j) => {
+    if (!anchor) return;
+    for (let i = 0; i < j; i++) minLrv[i] = Math.max(minLrv[i], anchor.lrv);
+    for (let i = j + 1; i < size; i++) maxLrv[i] = Math.min(maxLrv[i], anchor.lrv);
+  });
+
+  const result = [...anchors];
+  const usedBrands = new Set(anchors.filter(Boolean).map(a => a.paint.brandName));
+  const usedIds = new Set(anchors.filter(Boolean).map(a => a.paint.id));
+
+  for (let i = 0; i < size; i++) {
+    if (result[i]) continue;
+    let candidates = entries;
+    if (diversifyBrands && usedBrands.size) {
+      const unused = entries.filter(e => !usedBrands.has(e.paint.brandName));
+      if (unused.length) candidates = unused;
+    }
+    const ranked = byDistance(targets[i], candidates).filter(r => !usedIds.has(r.entry.paint.id));
+
+    // Start with a tight band and widen until something fits
+    let chosen = null;
+    for (let tol = 1; !chosen && tol <= 10; tol += 2) {
+      const inBand = ranked.filter(r => r.entry.lrv >= minLrv[i] - tol && r.entry.lrv <= maxLrv[i] + tol);
+      if (!inBand.length) continue;
+      // The nearest paint wins when it already fits; otherwise vary among the closest five
+      chosen = inBand[0] === ranked[0] ? ranked[0].entry : inBand[randomInt(rng, Math.min(5, inBand.length))].entry;
+    }
+    chosen ||= ranked[0]?.entry;
+    if (!chosen) continue;
+    result[i] = chosen;
+    usedBrands.add(chosen.paint.brandName);
+    usedIds.add(chosen.paint.id);
+  }
+  return result;
+}
+
+// ✅ Designer mode: LRV ladder targets scored with a small beam search
+const BEAM_WIDTH = 8;
+const SLOT_CANDIDATES = 24;
+
+// Warm/cool proxy from hue, as in the app
+const undertone = h => (h >= 45 && h <= 225 ? 1 : 0);
+
+function scoreSequence(seq) {
+  if (seq.length < 2) return 0;
+  let score = 0;
+  // Adjacent LRV spacing: aim for at least 6
+  for (let i = 1; i < seq.length; i++) {
+    const d = Math.abs(seq[i - 1].lrv - seq[i].lrv);
+    score += d >= 6 ? 5 : -(6 - d);
+  }
+  // Undertone continuity, with tension allowed at the accent end
+  for (let i = 1; i < seq.length; i++) {
+    const same = undertone(seq[i - 1].lch.h) === undertone(seq[i].lch.h);
+    score += same ? 2 : i >= seq.length - 2 ? 1 : -1.5;
+  }
+  // Some hue spread across the body (all but the last one or two)
+  const body = seq.length > 2 ? seq.slice(0, -2) : seq;
+  if (body.length >= 2) {
+    const hues = body.map(e => e.lch.h);
+    score += Math.max(...hues) - Math.min(...hues) < 30 ? -5 : 3;
+  }
+  return score;
+}
+
+function rollDesigner({ entries, anchors, diversifyBrands, rng }) {
+  const size = anchors.length;
+  const seed = anchors.find(Boolean) || entries[randomInt(rng, entries.length)];
+  const targets = designerTargets(size, seed.lch).map(t => lchToLab(t));
+  const bands = lrvBandsForSize(size);
+
+  const slotCandidates = anchors.map((anchor, i) => {
+    if (anchor) return [anchor];
+    const [lo, hi] = bands[i];
+    const ranked = byDistance(targets[i], entries);
+    if (ranked[0] && ranked[0].entry.lrv >= lo && ranked[0].entry.lrv <= hi) return [ranked[0].entry];
+    // Keep the ladder: closest paints inside the (widening) band, any paint as a last resort
+    for (let tol = 0; tol <= 10; tol += 2) {
+      const inBand = ranked.filter(r => r.entry.lrv >= lo - tol && r.entry.lrv <= hi + tol);
+      if (inBand.length) return inBand.slice(0, SLOT_CANDIDATES).map(r => r.entry);
+    }
+    return ranked.slice(0, SLOT_CANDIDATES).map(r => r.entry);
+  });
+
+  const locked = anchors.filter(Boolean);
+  let beams = [{
+    seq: [],
+    score: 0,
+    brands: new Set(locked.map(a => a.paint.brandName)),
+    ids: new Set(locked.map(a => a.paint.id)),
+  }];
+
+  for (let slot = 0; slot < size; slot++) {
+    const next = [];
+    for (const beam of beams) {
+      let cands = slotCandidates[slot].filter(e => anchors[slot] || !beam.ids.has(e.paint.id));
+      // Brand diversification is a preference: fall back to any brand rather than dead-ending
+      if (diversifyBrands && !anchors[slot]) {
+        const fresh = cands.filter(e => !beam.brands.has(e.paint.brandName));
+        if (fresh.length) cands = fresh;
+      }
+      for (const e of cands) {
+        const seq = [...beam.seq, e];
+        next.push({
+          seq,
+          score: scoreSequence(seq),
+          brands: new Set([...beam.brands, e.paint.brandName]),
+          ids: new Set([...beam.ids, e.paint.id]),
+        });
+      }
+    }
+    if (!next.length) break;
+    // Stable sort keeps ΔE order among equal scores, so ties stay deterministic
+    next.sort((a, b) => b.score - a.score);
+    beams = next.slice(0, BEAM_WIDTH);
+  }
+
+  const best = beams[0]?.seq || [];
+  return best.length === size ? best : slotCandidates.map(c => c[0]);
+}
+
+function anchorEntry(locked, entries, brands) {
+  if (!locked) return null;
+  const hex = normalizeHex(typeof locked === "string" ? locked : locked.hex);
+  const byId = locked.paintId && getCatalog().paints.find(p => p.id === locked.paintId);
+  const [item] = byId ? [byId] : enrichPaletteItems([{ hex }], { brandHints: brands });
+  const paint = {
+    id: item.paintId || item.id || `custom:${hex}`,
+    brandName: item.brandName || "",
+    name: item.name || "",
+    code: item.code || "",
+    hex,
+  };
+  return entries.find(e => e.paint.id === paint.id && e.paint.hex === hex) || toEntry(paint);
+}
+
+/**
+ * Rolls a palette from the catalog.
+ * @param {{size?: number, mode?: string, locked?: Array<string|{hex: string, paintId?: string}|null>,
+ *   brands?: string[], diversifyBrands?: boolean, seed?: number|string}} opts
+ *   `locked` is positional: slot i keeps locked[i]; null/missing slots are generated.
+ *   `brands` are catalog brand keys (see resolveBrands).
+ * @returns {{items: Array<object>, seed: number, mode: string}} items are PaletteItems with `lrv`
+ */
+export function rollPalette({ size = 5, mode = "designer", locked = [], brands = [], diversifyBrands = true, seed } = {}) {
+  const normalizedSeed = normalizeSeed(seed ?? Math.floor(Math.random() * 2 ** 32));
+  const rng = createRng(normalizedSeed);
+  const entries = catalogEntries(brands);
+  if (!entries.length) return { items: [], seed: normalizedSeed, mode };
+
+  const anchors = Array.from({ length: size }, (_, i) => anchorEntry(locked[i], entries, brands));
+  const roll = mode === "designer" ? rollDesigner : rollHarmony;
+  const picked = roll({ entries, anchors, mode, diversifyBrands, rng });
+
+  const items = picked.filter(Boolean).map(({ paint, lrv }, i) => ({
+    hex: paint.hex,
+    brandName: paint.brandName,
+    name: paint.name,
+    code: paint.code,
+    ...(paint.id.startsWith("custom:") ? {} : { paintId: paint.id }),
+    lrv: Math.round(lrv * 10) / 10,
+    locked: Boolean(anchors[i]),
+  }));
+  return { items, seed: normalizedSeed, mode };
+}
@@ -0,0 +1,108 @@
+import { logger } from "firebase-functions";
+import { admin } from "../firebase.js";
+import { getProvider } from "../providers/index.js";
+import { meterProvider } from "../usage_ledger.js";
+import { STEPS, STEP_IDS } from "./steps.js";
+
+// Progress is reported between START and END, split by step weight.
+const PROGRESS_START = 0.1;
+const PROGRESS_END = 0.9;
+
+export class StepError extends Error {
+  constructor(step, cause) {
+    super(cause?.message || `${step} failed`);
+    this.name = "StepError";
+    this.step = step;
+    this.cause = cause;
+  }
+}
+
+export async function writeProgress(docRef, status, progress, message) {
+  await docRef.set({
+    status, progress, progressMessage: message,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+export function getStep(id) {
+  return STEPS.find(s => s.id === id) || null;
+}
+
+/**
+ * Steps to re-run when story `fields` change: every step that reads a changed field, then
+ * every later step that reads an output of one of those. Returned in pipeline order.
+ */
+export function affectedSteps(fields) {
+  const dirty = new Set(fields);
+  const ids = [];
+  for (const step of STEPS) {
+    if (!step.inputs.some(field => dirty.has(field))) continue;
+    ids.push(step.id);
+    // "prompts.narration" → "prompts": inputs name top-level story fields
+    for (const output of step.outputs) dirty.add(output.split(".")[0]);
+  }
+  return ids;
+}
+
+/**
+ * Progress value shown while `stepId` runs. Always computed against the full
+ * step list so a single retried step reports the same value as a full run.
+ */
+export function stepProgress(stepId) {
+  const total = STEPS.reduce((sum, s) => sum + s.weight, 0);
+  let done = 0;
+  for (const s of STEPS) {
+    done += s.weight;
+    if (s.id === stepId) break;
+  }
+  return PROGRESS_START + (PROGRESS_END - PROGRESS_START) * (done / total);
+}
+
+/**
+ * Runs the given steps (all by default) against a story document.
+ * Each step's outputs are merged into the doc and into `story` for later steps.
+ *
+ * @param {object} opts
+ * @param {FirebaseFirestore.DocumentReference} opts.docRef
+ * @param {object} opts.story current story fields (inputs for the steps)
+ * @param {string[]} [opts.steps] step ids to run, in pipeline order
+ * @param {string} [opts.mode] "retry" changes the progress messages
+ * @returns {Promise<object>} the story with all step outputs applied
+ */
+export async function runPipeline({ docRef, story, steps = STEP_IDS, mode = "run" }) {
+  const provider = getProvider();
+  const selected = STEPS.filter(s => steps.includes(s.id));
+  let current = { ...story };
+
+  for (const step of selected) {
+    const message = mode === "retry" ? `Retrying ${step.label}…` : step.message;
+    await writeProgress(docRef, "processing", stepProgress(step.id), message);
+    logger.info(`pipeline: ${step.id} starting`, { storyId: docRef.id, provider: provider.id, mode });
+
+    // Every AI call lands in the usage ledger under this story, owner and step
+    const ai = meterProvider(provider, { storyId: docRef.id, uid: current.ownerId, step: step.id });
+    const ctx = { story: current, storyId: docRef.id, ai };
+    let patch;
+    try {
+      patch = await step.run(ctx);
+    } catch (err) {
+      if (!step.fallback) {
+        logger.error(`pipeline: ${step.id} failed`, { storyId: docRef.id, error: err.message });
+        throw new StepError(step.id, err);
+      }
+      logger.warn(`pipeline: ${step.id} failed, using fallback`, { storyId: docRef.id, error: err.message });
+      patch = await step.fallback(ctx, err);
+    }
+
+    // A merge write would bring back a story deleted while the step ran
+    if (!(await docRef.get()).exists) {
+      logger.warn(`pipeline: ${step.id} finished after the story was deleted`, { storyId: docRef.id });
+      throw new StepError(step.id, new Error("Story was deleted"));
+    }
+    await docRef.set(patch, { merge: true });
+    current = { ...current, ...patch };
+    logger.info(`pipeline: ${step.id} saved`, { storyId: docRef.id, fields: Object.keys(patch) });
+  }
+
+  return current;
+}
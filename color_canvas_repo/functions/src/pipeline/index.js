@@ -0,0 +1,5 @@
+export { STEPS, STEP_IDS } from "./steps.js";
+export { runPipeline, writeProgress, stepProgress, getStep, affectedSteps, StepError } from "./engine.js";
+export {
+  JOBS_COLLECTION, JOB_RETRY_CONFIG, storyInputs, enqueueStoryJob, cancelStoryJob, dispatchStep, processJobStep,
+} from "./queue.js";
@@ -0,0 +1,103 @@
+import { z } from "zod";
+import { logger } from "firebase-functions";
+import { findUnsafe, withoutPaintNames, roomLabel } from "../safety.js";
+import { generateStructured } from "../structured_output.js";
+import { renderStoryPrompt, promptRecord } from "../prompts/registry.js";
+
+// ✅ Output moderation, run before generated content is saved. Narration is checked with
+// rules (unsafe terms, prompt leakage, the provider's own safety stop). Hero images are
+// reviewed by the text model; a rejected image is never uploaded and the hero step falls
+// back to the palette elevation. Results are stored in `moderation.{narration|hero}`.
+
+export const HERO_REVIEW_CATEGORIES = [
+  "nudity or sexual content",
+  "violence, blood or gore",
+  "weapons",
+  "hate symbols or extremist imagery",
+  "drugs or drug use",
+  "people, faces or children",
+  "legible text, logos or watermarks",
+];
+
+// What a narration should never contain: markup, links or talk about its own instructions
+const LEAK_PATTERNS = [
+  /\bhttps?:\/\/|\bwww\./i,
+  /```|<\/?[a-z][^>]*>/i,
+  /\b(system|developer)\s+(prompt|message|instructions?)\b/i,
+  /\bas an ai( language model)?\b/i,
+  /\b(my|these|the above)\s+instructions\b/i,
+];
+
+const HeroReview = z.object({
+  safe: z.boolean(),
+  categories: z.array(z.string()).default([]),
+  reason: z.string().default(""),
+});
+
+export class ModerationError extends Error {
+  constructor(target, flags, record = {}) {
+    super(`Generated ${target} failed moderation: ${flags.join(", ")}`);
+    this.name = "ModerationError";
+    this.target = target;
+    this.flags = flags;
+    this.record = record;
+  }
+}
+
+// Every record has the same keys, so a merge never leaves fields from an earlier check
+function moderationRecord(status, flags, { method, prompt = null }) {
+  return { status, flags, method, prompt, checkedAt: new Date().toISOString() };
+}
+
+/**
+ * Rule checks on generated narration.
+ * @param {{text: string, finishReason?: string}} res generateText result
+ * @param {{paintNames?: string[]}} opts the palette's paint names, which passed the input checks
+ *   and are left out of the unsafe-term check (catalog names like "Nude W-f-210")
+ * @returns {object} the `moderation.narration` record
+ * @throws {ModerationError}
+ */
+export function moderateNarration(res, { paintNames = [] } = {}) {
+  const text = res.text || "";
+  const flags = [];
+  if (/^(safety|blocked)$/i.test(res.finishReason || "")) flags.push("provider-blocked");
+  const unsafe = findUnsafe(withoutPaintNames(text, paintNames));
+  if (unsafe) flags.push(`unsafe-term:${unsafe}`);
+  if (LEAK_PATTERNS.some(p => p.test(text))) flags.push("prompt-leak");
+  if (flags.length) throw new ModerationError("narration", flags, { method: "rules" });
+  return moderationRecord("passed", [], { method: "rules" });
+}
+
+/**
+ * Asks the text model to review a generated hero image.
+ * @param {object} ai metered provider
+ * @param {{data: Buffer, mimeType: string}} img
+ * @returns {Promise<object>} the `moderation.hero` record
+ * @throws {ModerationError} when the image is flagged or can't be reviewed
+ */
+export async function reviewHeroImage(ai, img, story) {
+  const prompt = renderStoryPrompt("heroReview", story, { room: roomLabel(story.roomId || story.room), categories: HERO_REVIEW_CATEGORIES });
+  const record = { method: "model", prompt: promptRecord(prompt, story) };
+  let review;
+  try {
+    ({ value: review } = await generateStructured({
+      ai,
+      prompt: prompt.text,
+      schema: HeroReview,
+      images: [{ data: img.data, mimeType: img.mimeType }],
+    }));
+  } catch (err) {
+    // An image we couldn't check is treated like a flagged one
+    logger.warn("moderation: Hero review failed", { error: err.message });
+    throw new ModerationError("hero image", ["review-unavailable"], record);
+  }
+  if (!review.safe || review.categories.length) {
+    throw new ModerationError("hero image", review.categories.length ? review.categories : [review.reason || "unsafe"], record);
+  }
+  return moderationRecord("passed", [], record);
+}
+
+/** `moderation.{target}` record for a rejected output. */
+export function rejectedRecord(err) {
+  return moderationRecord("rejected", err.flags, { method: "rules", ...err.record });
+}
@@ -0,0 +1,11 @@
+// ✅ Palette accessors shared by the prompt templates (src/prompts), the pipeline and exports.
+
+export function paletteItems(story) {
+  const palette = story.palette || {};
+  if (Array.isArray(palette.items) && palette.items.length) return palette.items;
+  return (palette.hexes || []).map(hex => ({ hex }));
+}
+
+export function paletteHexes(story) {
+  return paletteItems(story).map(i => i.hex);
+}
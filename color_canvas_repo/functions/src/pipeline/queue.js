@@ -0,0 +1,253 @@
+import { logger } from "firebase-functions";
+import { getFunctions } from "firebase-admin/functions";
+import { admin, db } from "../firebase.js";
+import { runPipeline, writeProgress, stepProgress, getStep } from "./engine.js";
+import { STEP_IDS } from "./steps.js";
+import { DEFAULT_LOCALE, DEFAULT_SPEAKING_RATE } from "../voices.js";
+
+// ✅ Story job queue
+//
+// A callable writes a `storyJobs/{jobId}` document; `dispatchStoryJob` (Firestore trigger)
+// hands step 0 to the `runStoryJob` task queue. Each task runs exactly one step, then
+// enqueues the next one, so every step gets its own retries with backoff. When a step
+// runs out of attempts the job moves to the dead-letter state ("dead") and the story to "error".
+// `cancelRequested` on the job (cancelStoryJob) is checked before and after every step, so a
+// cancelled job stops at the next step boundary and makes no further AI calls.
+//
+// Job states: queued → running → (retrying → running)* → done | dead | cancelled
+
+export const JOBS_COLLECTION = "storyJobs";
+export const JOB_QUEUE = "locations/us-central1/functions/runStoryJob";
+
+// Shared with the onTaskDispatched retryConfig in index.js
+export const JOB_RETRY_CONFIG = {
+  maxAttempts: 4,
+  minBackoffSeconds: 15,
+  maxBackoffSeconds: 300,
+  maxDoublings: 3,
+};
+
+/** Story doc fields consumed by pipeline steps. */
+export function storyInputs(story) {
+  return {
+    room: story.roomId || story.room || "living room",
+    style: story.styleId || story.style || "modern",
+    vibeWords: story.vibeWords || [],
+    brandHints: story.brandHints || [],
+    palette: story.palette || { hexes: [] },
+    emphasis: story.emphasis || "",
+    usageGuideMode: story.usageGuideMode || "ai",
+    paletteAnalysis: story.paletteAnalysis || null,
+    narration: story.narration,
+    access: story.access || "private",
+    locale: story.locale || DEFAULT_LOCALE,
+    voice: story.voice || null,
+    speakingRate: story.speakingRate || DEFAULT_SPEAKING_RATE,
+    ownerId: story.ownerId || null,
+    promptVersions: story.promptVersions || null,
+    promptExperiments: story.promptExperiments || null,
+  };
+}
+
+/**
+ * Creates a job document for a story. The Firestore trigger picks it up.
+ * @returns {Promise<string>} job id
+ */
+export async function enqueueStoryJob(storyId, { ownerId, kind = "generate", steps = STEP_IDS, completeMessage = "Story ready" }) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc();
+  const batch = db.batch();
+  batch.set(jobRef, {
+    id: jobRef.id,
+    storyId,
+    ownerId,
+    kind,
+    steps,
+    stepIndex: 0,
+    state: "queued",
+    attempts: {},
+    completeMessage,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  batch.set(db.collection("colorStories").doc(storyId), {
+    jobId: jobRef.id,
+    status: "processing",
+    progress: 0.1,
+    progressMessage: "Queued…",
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  await batch.commit();
+  logger.info("queue: Job enqueued", { jobId: jobRef.id, storyId, kind, steps });
+  return jobRef.id;
+}
+
+// The task id makes dispatching a step idempotent: a second enqueue of the same step is refused
+export async function dispatchStep(jobId, stepIndex) {
+  try {
+    await getFunctions().taskQueue(JOB_QUEUE).enqueue({ jobId, stepIndex }, { id: `${jobId}-${stepIndex}` });
+  } catch (err) {
+    if (err.code !== "functions/task-already-exists") throw err;
+    logger.info("queue: Step already dispatched", { jobId, stepIndex });
+  }
+}
+
+async function updateJob(jobRef, fields) {
+  await jobRef.set({ ...fields, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+}
+
+const FINISHED_STATES = ["done", "dead", "cancelled"];
+
+/**
+ * Asks a job to stop. A job waiting between steps is cancelled right away; a running step
+ * finishes and the job stops before the next one.
+ * @param {{by?: string, reason?: "cancelled"|"superseded"|"deleted"|"timeout"}} opts only a plain
+ *   cancel moves the story to "cancelled"; otherwise the caller owns the story's status
+ *   (a new job after regenerateStory, the deletion, the stuck-story sweeper)
+ * @returns {Promise<{state: string, pendingSteps: string[]}|null>} null when the job already finished
+ */
+export async function cancelStoryJob(jobId, { by = null, reason = "cancelled" } = {}) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc(jobId);
+  const result = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(jobRef);
+    const job = snap.exists ? snap.data() : null;
+    if (!job || FINISHED_STATES.includes(job.state)) return null;
+
+    const idle = ["queued", "retrying"].includes(job.state);
+    tx.set(jobRef, {
+      cancelRequested: true,
+      cancelRequestedBy: by,
+      cancelReason: reason,
+      ...(idle ? { state: "cancelled", cancelledAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    if (reason === "cancelled") {
+      tx.set(db.collection("colorStories").doc(job.storyId), {
+        ...(idle
+          ? { status: "cancelled", progressMessage: "Cancelled", cancelledAt: admin.firestore.FieldValue.serverTimestamp() }
+          : { progressMessage: "Cancelling…" }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    return { state: idle ? "cancelled" : "cancelling", pendingSteps: job.steps.slice(job.stepIndex), storyId: job.storyId };
+  });
+  if (result) logger.info("queue: Cancel requested", { jobId, storyId: result.storyId, state: result.state, reason });
+  return result;
+}
+
+/**
+ * Stops a job whose cancel was requested. The story follows only while the job still owns it
+ * and it is still processing (not deleted, regenerated or timed out meanwhile).
+ */
+async function finishCancelled(jobRef, job, docRef) {
+  await updateJob(jobRef, { state: "cancelled", cancelledAt: admin.firestore.FieldValue.serverTimestamp() });
+  const story = (await docRef.get()).data();
+  if (story?.jobId === jobRef.id && story.status === "processing") {
+    await docRef.set({
+      status: "cancelled",
+      progressMessage: "Cancelled",
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  logger.info("queue: Job cancelled", { jobId: jobRef.id, storyId: job.storyId, step: job.steps[job.stepIndex] });
+}
+
+async function cancelRequested(jobRef) {
+  return Boolean((await jobRef.get()).data()?.cancelRequested);
+}
+
+/**
+ * Runs one step of a job. Throws to ask the task queue for a retry;
+ * returns normally once the step succeeded or the job was dead-lettered.
+ *
+ * @param {{jobId: string, stepIndex: number}} payload task payload
+ * @param {number} retryCount attempts already made for this task
+ */
+export async function processJobStep({ jobId, stepIndex }, retryCount = 0) {
+  const jobRef = db.collection(JOBS_COLLECTION).doc(jobId);
+  const jobSnap = await jobRef.get();
+  if (!jobSnap.exists) {
+    logger.warn("queue: Job not found, dropping task", { jobId });
+    return;
+  }
+  const job = jobSnap.data();
+
+  // This step finished and advanced the job, but dispatching the next one failed and the task
+  // queue retried this one: dispatch it again (deduplicated by task id)
+  if (job.state === "queued" && job.stepIndex === stepIndex + 1) {
+    logger.warn("queue: Re-dispatching next step", { jobId, stepIndex: job.stepIndex });
+    await dispatchStep(jobId, job.stepIndex);
+    return;
+  }
+
+  // Tasks are delivered at least once: ignore stale or duplicate deliveries
+  if (FINISHED_STATES.includes(job.state) || job.stepIndex !== stepIndex) {
+    logger.info("queue: Skipping stale task", { jobId, stepIndex, state: job.state, current: job.stepIndex });
+    return;
+  }
+
+  const stepId = job.steps[stepIndex];
+  const docRef = db.collection("colorStories").doc(job.storyId);
+  if (job.cancelRequested) {
+    await finishCancelled(jobRef, job, docRef);
+    return;
+  }
+  const storySnap = await docRef.get();
+  if (!storySnap.exists || !getStep(stepId)) {
+    await updateJob(jobRef, { state: "dead", error: storySnap.exists ? `Unknown step ${stepId}` : "Story not found" });
+    return;
+  }
+
+  const attempt = retryCount + 1;
+  await updateJob(jobRef, { state: "running", [`attempts.${stepId}`]: attempt });
+
+  try {
+    await runPipeline({
+      docRef,
+      story: storyInputs(storySnap.data()),
+      steps: [stepId],
+      mode: retryCount > 0 ? "retry" : "run",
+    });
+  } catch (err) {
+    if (await cancelRequested(jobRef)) {
+      await finishCancelled(jobRef, job, docRef);
+      return;
+    }
+    if (attempt >= JOB_RETRY_CONFIG.maxAttempts) {
+      logger.error("queue: Step exhausted retries, dead-lettering job", { jobId, stepId, attempt, error: err.message });
+      await updateJob(jobRef, {
+        state: "dead",
+        error: err.message,
+        failedStep: stepId,
+        deadAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      if ((await docRef.get()).exists) {
+        await writeProgress(docRef, "error", stepProgress(stepId), err.message || `${stepId} failed`);
+      }
+      return;
+    }
+    logger.warn("queue: Step failed, will retry", { jobId, stepId, attempt, error: err.message });
+    await updateJob(jobRef, { state: "retrying", lastError: err.message });
+    throw err;
+  }
+
+  // Checked between steps: a cancel that arrived while this step ran stops the job here
+  if (await cancelRequested(jobRef)) {
+    await finishCancelled(jobRef, job, docRef);
+    return;
+  }
+
+  const next = stepIndex + 1;
+  if (next >= job.steps.length) {
+    await updateJob(jobRef, { state: "done", stepIndex: next, completedAt: admin.firestore.FieldValue.serverTimestamp() });
+    // A merge write would bring back a story deleted during the last step
+    if ((await docRef.get()).exists) {
+      await writeProgress(docRef, "complete", 1.0, job.completeMessage || "Story ready");
+    }
+    logger.info("queue: Job complete", { jobId, storyId: job.storyId });
+    return;
+  }
+
+  await updateJob(jobRef, { state: "queued", stepIndex: next });
+  await dispatchStep(jobId, next);
+}
@@ -0,0 +1,44 @@
+import { DEFAULT_VOICES } from "../voices.js";
+import { splitNarration, chaptersToSsml } from "../media/ssml.js";
+import { concatMp3 } from "../media/mp3.js";
+
+// ✅ Narration audio: chapters → SSML chunks → one TTS call per chunk → one MP3,
+// plus a chapter index (`{ id, title, startMs, durationMs }`) the app can seek with.
+
+/**
+ * Speaks `text` with the story's (or a track's) locale, voice and rate.
+ * @param {object} ai metered provider
+ * @param {string} text narration
+ * @param {{locale: string, voice?: string, speakingRate: number, emphasize?: string[]}} options
+ * @returns {Promise<{audioContent: Buffer, mimeType: string, voice: string, chapters: object[], durationMs: number, attribution: object}>}
+ */
+export async function synthesizeNarration(ai, text, { locale, voice, speakingRate, emphasize = [] }) {
+  const name = voice || DEFAULT_VOICES[locale];
+  const chapters = splitNarration(text);
+  const chunks = chaptersToSsml(chapters, { emphasize });
+
+  // One at a time: keeps chunk order and stays under the TTS per-minute quota
+  const results = [];
+  for (const chunk of chunks) {
+    results.push(await ai.synthesizeSpeech({ ssml: chunk.ssml, voice: { languageCode: locale, name }, speakingRate }));
+  }
+  const { audio, offsetsMs, durationMs } = concatMp3(results.map(r => r.audioContent));
+
+  const starts = chapters.map((_, i) => offsetsMs[chunks.findIndex(chunk => chunk.chapter === i)]);
+  const index = chapters.map((chapter, i) => ({
+    id: chapter.id,
+    title: chapter.title,
+    startMs: starts[i],
+    durationMs: (starts[i + 1] ?? durationMs) - starts[i],
+  }));
+
+  const spokenBy = results[0]?.voice || name;
+  return {
+    audioContent: audio,
+    mimeType: "audio/mpeg",
+    voice: spokenBy,
+    chapters: index,
+    durationMs,
+    attribution: { ...ai.attribution.speech, voice: spokenBy, locale, speakingRate, chunks: chunks.length },
+  };
+}
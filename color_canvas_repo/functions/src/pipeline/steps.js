@@ -0,0 +1,193 @@
+import { logger } from "firebase-functions";
+import { USAGE_GUIDE } from "../schemas.js";
+import { generateStructured, coerceUsageGuide } from "../structured_output.js";
+import { uploadBuffer, imageExtension } from "../storage.js";
+import { renderHeroSet } from "../media/hero.js";
+import { mediaUrl, mediaExpiry } from "../media/access.js";
+import { deleteStoryAssets } from "../media/assets.js";
+import { buildUsageGuide, applyPaintDetails } from "../usage_guide.js";
+import { analyzePalette } from "../palette_analysis.js";
+import { paletteHexes, paletteItems } from "./prompts.js";
+import { renderStoryPrompt, promptRecord } from "../prompts/registry.js";
+import { synthesizeNarration } from "./speech.js";
+import { moderateNarration, reviewHeroImage, rejectedRecord, ModerationError } from "./moderation.js";
+
+// ✅ Story pipeline steps, in execution order.
+// Each step declares the story fields it reads (inputs) and writes (outputs),
+// a progress weight, and an optional fallback used when run() throws.
+// Steps without a fallback fail the pipeline.
+
+const analysis = {
+  id: "analysis",
+  label: "palette analysis",
+  message: "Analyzing palette…",
+  inputs: ["palette", "room"],
+  outputs: ["paletteAnalysis"],
+  weight: 0.25,
+  async run({ story }) {
+    return { paletteAnalysis: analyzePalette(paletteHexes(story), { room: story.room }) };
+  },
+  // Prompts work without it, just less grounded
+  async fallback() {
+    return { paletteAnalysis: null };
+  },
+};
+
+// Prompts get a fresh analysis of the palette, never the stored `paletteAnalysis`
+function withAnalysis(story) {
+  try {
+    return { ...story, paletteAnalysis: analyzePalette(paletteHexes(story), { room: story.room }) };
+  } catch (err) {
+    logger.warn("pipeline: Palette analysis failed", { error: err.message });
+    return { ...story, paletteAnalysis: null };
+  }
+}
+
+const narration = {
+  id: "writing",
+  label: "narration",
+  message: "Writing narration…",
+  inputs: ["room", "style", "vibeWords", "brandHints", "palette", "emphasis", "paletteAnalysis", "locale", "promptVersions"],
+  outputs: ["narration", "modelAttribution", "prompts.narration", "moderation.narration"],
+  weight: 1,
+  async run({ story, ai }) {
+    story = withAnalysis(story);
+    const prompt = renderStoryPrompt("narration", story);
+    const res = await ai.generateText({ prompt: prompt.text });
+    // Flagged narration fails the step; the job queue retries it with a fresh generation
+    const moderation = moderateNarration(res, { paintNames: paletteItems(story).map(i => i.name) });
+    return {
+      narration: res.text || "",
+      modelAttribution: { ...ai.attribution.text, promptVersion: prompt.id },
+      prompts: { narration: promptRecord(prompt, story) },
+      moderation: { narration: moderation },
+    };
+  },
+  fallback: null,
+};
+
+const usageGuide = {
+  id: "usage",
+  label: "usage guide",
+  message: "Building usage guide…",
+  inputs: [
+    "room", "style", "vibeWords", "brandHints", "palette", "emphasis", "usageGuideMode", "paletteAnalysis", "locale",
+    "promptVersions",
+  ],
+  outputs: ["usageGuide", "usageGuideSource", "usageGuideParse", "prompts.usageGuide"],
+  weight: 1,
+  async run({ story, ai }) {
+    if (story.usageGuideMode === "rules") {
+      return { usageGuide: buildUsageGuide(story), usageGuideSource: "rules" };
+    }
+    story = withAnalysis(story);
+    const prompt = renderStoryPrompt("usageGuide", story);
+    const { value, repairs, attempts } = await generateStructured({
+      ai,
+      prompt: prompt.text,
+      schema: USAGE_GUIDE,
+      coerce: coerceUsageGuide,
+    });
+    if (repairs.length) logger.info("pipeline: Usage guide repaired", { repairs, attempts });
+    return {
+      usageGuide: applyPaintDetails(value, story),
+      usageGuideSource: "ai",
+      usageGuideParse: { attempts, repairs },
+      prompts: { usageGuide: promptRecord(prompt, story) },
+    };
+  },
+  // Never leave the guide empty: fall back to the palette-aware rules
+  async fallback({ story }, err) {
+    return {
+      usageGuide: buildUsageGuide(story),
+      usageGuideSource: "rules",
+      usageGuideParse: { error: err?.message || "unknown", repairs: err?.repairs || [] },
+    };
+  },
+};
+
+const hero = {
+  id: "hero",
+  label: "hero image",
+  message: "Rendering hero image…",
+  inputs: ["room", "style", "vibeWords", "palette", "emphasis", "access", "promptVersions"],
+  outputs: [
+    "heroImagePath", "heroImageUrl", "heroThumbnailPaths", "heroThumbnails", "mediaUrlsExpireAt",
+    "heroPrompt", "heroImageAttribution", "prompts.hero", "moderation.hero",
+  ],
+  weight: 1,
+  async run({ story, storyId, ai }) {
+    const prompt = renderStoryPrompt("hero", story);
+    const img = await ai.generateImage({ prompt: prompt.text });
+    // Reviewed before upload: a flagged image never reaches Storage
+    const moderation = await reviewHeroImage(ai, img, story);
+    const heroImagePath = await uploadBuffer(
+      `color_stories/heroes/${storyId}.${imageExtension(img.mimeType)}`, img.data, img.mimeType
+    );
+    // An earlier hero in another format, and its thumbnails, would otherwise stay behind
+    await deleteStoryAssets(storyId, { dirs: ["color_stories/heroes"], keep: [heroImagePath] });
+    return {
+      heroImagePath,
+      heroImageUrl: await mediaUrl(heroImagePath, story.access),
+      // Model images aren't resized server-side; clients scale the full image
+      heroThumbnailPaths: null,
+      heroThumbnails: null,
+      mediaUrlsExpireAt: mediaExpiry(story.access),
+      heroPrompt: prompt.text,
+      heroImageAttribution: { ...ai.attribution.image, seed: img.mimeType || null },
+      prompts: { hero: promptRecord(prompt, story) },
+      moderation: { hero: moderation },
+    };
+  },
+  // Palette-painted room elevation (PNG) plus thumbnails, keyed by width
+  async fallback({ story, storyId }, err) {
+    const [full, ...thumbs] = renderHeroSet(paletteHexes(story), { room: story.room });
+    const heroImagePath = await uploadBuffer(`color_stories/heroes/${storyId}.png`, full.png, "image/png");
+    const heroThumbnailPaths = {};
+    const heroThumbnails = {};
+    for (const { width, png } of thumbs) {
+      heroThumbnailPaths[width] = await uploadBuffer(`color_stories/heroes/${storyId}_${width}.png`, png, "image/png");
+      heroThumbnails[width] = await mediaUrl(heroThumbnailPaths[width], story.access);
+    }
+    await deleteStoryAssets(storyId, { dirs: ["color_stories/heroes"], keep: [heroImagePath, ...Object.values(heroThumbnailPaths)] });
+    return {
+      heroImagePath,
+      heroImageUrl: await mediaUrl(heroImagePath, story.access),
+      heroThumbnailPaths,
+      heroThumbnails,
+      mediaUrlsExpireAt: mediaExpiry(story.access),
+      // The prompt the model was given; the elevation itself doesn't use it
+      heroPrompt: renderStoryPrompt("hero", story).text,
+      heroImageAttribution: { provider: "fallback", model: "room-elevation" },
+      moderation: { hero: err instanceof ModerationError ? rejectedRecord(err) : null },
+    };
+  },
+};
+
+const audio = {
+  id: "audio",
+  label: "audio",
+  message: "Mixing audio…",
+  inputs: ["narration", "palette", "access", "locale", "voice", "speakingRate"],
+  outputs: ["audioPath", "audioUrl", "mediaUrlsExpireAt", "audioAttribution", "audioChapters", "audioDurationMs"],
+  weight: 1,
+  async run({ story, storyId, ai }) {
+    const tts = await synthesizeNarration(ai, story.narration || "This color story is ready for you.", {
+      ...story,
+      emphasize: paletteItems(story).map(i => i.name),
+    });
+    const audioPath = await uploadBuffer(`color_stories/audio/${storyId}.mp3`, tts.audioContent, tts.mimeType);
+    return {
+      audioPath,
+      audioUrl: await mediaUrl(audioPath, story.access),
+      mediaUrlsExpireAt: mediaExpiry(story.access),
+      audioAttribution: tts.attribution,
+      audioChapters: tts.chapters,
+      audioDurationMs: tts.durationMs,
+    };
+  },
+  fallback: null,
+};
+
+export const STEPS = [analysis, narration, usageGuide, hero, audio];
+export const STEP_IDS = STEPS.map(s => s.id);
@@ -0,0 +1,71 @@
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { admin } from "../firebase.js";
+import { getProvider } from "../providers/index.js";
+import { meterProvider } from "../usage_ledger.js";
+import { uploadBuffer } from "../storage.js";
+import { mediaUrl, storyMediaUrls } from "../media/access.js";
+import { languageName, DEFAULT_LOCALE } from "../voices.js";
+import { paletteItems } from "./prompts.js";
+import { renderStoryPrompt, promptRecord } from "../prompts/registry.js";
+import { synthesizeNarration } from "./speech.js";
+import { moderateNarration, ModerationError } from "./moderation.js";
+
+// ✅ Extra language tracks: `audioTracks.{locale}` holds the narration in that language
+// and its audio (`color_stories/audio/{storyId}_{locale}.mp3`). The main narration and
+// audio stay in the story's own `locale`.
+
+/**
+ * Translates the story's narration (when the language differs) and voices it.
+ * @param {{docRef: FirebaseFirestore.DocumentReference, story: object, options: {locale: string, voice: string, speakingRate: number}}} opts
+ * @returns {Promise<object>} the saved track
+ */
+export async function createAudioTrack({ docRef, story, options, provider = getProvider() }) {
+  if (!story.narration) {
+    throw new functions.https.HttpsError("failed-precondition", "The story has no narration yet");
+  }
+  const ai = meterProvider(provider, { storyId: docRef.id, uid: story.ownerId, step: "audioTrack" });
+  const sourceLocale = story.locale || DEFAULT_LOCALE;
+  const translate = languageName(options.locale) !== languageName(sourceLocale);
+
+  const variables = { narration: story.narration, locale: options.locale, language: languageName(options.locale) };
+  const prompt = translate ? renderStoryPrompt("translation", story, variables) : null;
+  const res = prompt ? await ai.generateText({ prompt: prompt.text }) : null;
+  const narration = res ? res.text || "" : story.narration;
+  if (!narration.trim()) throw new Error(`Translation to ${options.locale} came back empty`);
+  let moderation = null;
+  try {
+    moderation = res ? moderateNarration(res, { paintNames: paletteItems(story).map(i => i.name) }) : null;
+  } catch (err) {
+    if (!(err instanceof ModerationError)) throw err;
+    logger.warn("tracks: Translation failed moderation", { storyId: docRef.id, flags: err.flags });
+    throw new functions.https.HttpsError("aborted", "The translation didn't pass moderation. Please try again.");
+  }
+
+  const tts = await synthesizeNarration(ai, narration, { ...options, emphasize: paletteItems(story).map(i => i.name) });
+  const audioPath = await uploadBuffer(
+    `color_stories/audio/${docRef.id}_${options.locale}.mp3`, tts.audioContent, tts.mimeType
+  );
+  const track = {
+    ...options,
+    narration,
+    translatedFrom: translate ? sourceLocale : null,
+    translationPrompt: prompt ? promptRecord(prompt, story) : null,
+    moderation,
+    audioPath,
+    audioUrl: await mediaUrl(audioPath, story.access),
+    audioAttribution: tts.attribution,
+    chapters: tts.chapters,
+    durationMs: tts.durationMs,
+  };
+  await docRef.set({
+    audioTracks: { [options.locale]: { ...track, createdAt: admin.firestore.FieldValue.serverTimestamp() } },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+
+  // Re-sign everything so all media URLs share one expiry
+  const urls = await storyMediaUrls(docRef.id, { ...story, audioTracks: { ...story.audioTracks, [options.locale]: track } });
+  await docRef.set(urls, { merge: true });
+  logger.info("tracks: Audio track saved", { storyId: docRef.id, locale: options.locale, translated: translate });
+  return { ...track, ...urls.audioTracks[options.locale] };
+}
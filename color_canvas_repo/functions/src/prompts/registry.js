@@ -0,0 +1,149 @@
+import crypto from "node:crypto";
+import { logger } from "firebase-functions";
+import { analysisForPrompt } from "../palette_analysis.js";
+import { languageName, isDefaultLanguage, DEFAULT_LOCALE } from "../voices.js";
+import { paletteItems } from "../pipeline/prompts.js";
+import { roomLabel, styleLabel } from "../safety.js";
+import { PROMPT_TEMPLATES } from "./templates.js";
+
+// ✅ Prompt registry: renders `name@version` templates with validated variables and
+// assigns template versions to stories, including weighted A/B experiments.
+//
+// A story gets `promptVersions` ({narration: "v4", …}) and `promptExperiments`
+// ({experimentId: {template, version}}) when it's created, so retries and later steps
+// keep using the same templates. Each AI step records what it rendered in
+// `prompts.{name}`: {id, version, hash, experiment}. `hash` is the SHA-256 of the
+// exact prompt text.
+
+/**
+ * Running experiments. Arms map a template version to a weight; a user lands in the same
+ * arm for every story (hash of experiment id + uid). Stop one by setting `active: false`
+ * or removing it; stories keep the version they were assigned.
+ * @type {{id: string, template: string, active: boolean, arms: Record<string, number>}[]}
+ */
+export const PROMPT_EXPERIMENTS = [
+  // { id: "narration-2025-03", template: "narration", active: true, arms: { v4: 50, v5: 50 } },
+];
+
+export function promptHash(text) {
+  return crypto.createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+/**
+ * @param {string} name template name (PROMPT_TEMPLATES key)
+ * @param {string} [version] defaults to the template's current version
+ * @throws {Error} for unknown templates or versions
+ */
+export function getTemplate(name, version) {
+  const family = PROMPT_TEMPLATES[name];
+  if (!family) throw new Error(`Unknown prompt template "${name}"`);
+  const v = version || family.current;
+  const template = family.versions[v];
+  if (!template) throw new Error(`Unknown prompt template version "${name}@${v}"`);
+  return { ...template, name, version: v, id: `${name}@${v}` };
+}
+
+/**
+ * Validates `variables` against the template and renders it.
+ * @returns {{id: string, name: string, version: string, text: string, hash: string}}
+ */
+export function renderPrompt(name, variables, { version } = {}) {
+  const template = getTemplate(name, version);
+  const parsed = template.variables.safeParse(variables);
+  if (!parsed.success) {
+    const message = parsed.error.issues.map(i => `${i.path.join(".") || "variables"}: ${i.message}`).join("; ");
+    throw new Error(`Prompt ${template.id}: ${message}`);
+  }
+  const text = template.render(parsed.data);
+  return { id: template.id, name, version: template.version, text, hash: promptHash(text) };
+}
+
+/** Variables shared by the story templates (narration, usageGuide, hero). */
+export function storyPromptVariables(story) {
+  return {
+    room: roomLabel(story.roomId || story.room),
+    style: styleLabel(story.styleId || story.style),
+    vibeWords: story.vibeWords || [],
+    brandHints: story.brandHints || [],
+    palette: paletteItems(story),
+    emphasis: story.emphasis || "",
+    analysis: analysisForPrompt(story.paletteAnalysis),
+    locale: story.locale || DEFAULT_LOCALE,
+    language: isDefaultLanguage(story.locale) ? null : languageName(story.locale),
+  };
+}
+
+/**
+ * Renders a template at the version the story was assigned. Versions that no longer
+ * exist (stories older than a removed template) fall back to the current one.
+ * @param {object} [variables] defaults to storyPromptVariables(story)
+ */
+export function renderStoryPrompt(name, story, variables = storyPromptVariables(story)) {
+  let version = story.promptVersions?.[name];
+  if (version && !PROMPT_TEMPLATES[name]?.versions[version]) {
+    logger.warn("prompts: Assigned version no longer exists, using current", { name, version });
+    version = undefined;
+  }
+  return renderPrompt(name, variables, { version });
+}
+
+/** What a step saves under `prompts.{name}`. */
+export function promptRecord(rendered, story = {}) {
+  const [id, arm] = Object.entries(story.promptExperiments || {}).find(([, a]) => a.template === rendered.name) || [];
+  return {
+    id: rendered.id,
+    version: rendered.version,
+    hash: rendered.hash,
+    experiment: id && arm.version === rendered.version ? { id, arm: arm.version } : null,
+  };
+}
+
+/** Deterministic position of a user in an experiment, in [0, 1). */
+export function experimentBucket(experimentId, uid) {
+  return parseInt(promptHash(`${experimentId}:${uid}`).slice(0, 8), 16) / 0x100000000;
+}
+
+function pickArm(arms, bucket) {
+  const entries = Object.entries(arms).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let edge = 0;
+  for (const [version, weight] of entries) {
+    edge += weight / total;
+    if (bucket < edge) return version;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Template versions for a new story by `uid`: current versions, overridden by the arm of
+ * each active experiment.
+ * @returns {{promptVersions: Record<string, string>, promptExperiments: Record<string, {template: string, version: string}>}}
+ */
+export function assignPromptVersions(uid, { experiments = PROMPT_EXPERIMENTS } = {}) {
+  const promptVersions = Object.fromEntries(Object.entries(PROMPT_TEMPLATES).map(([name, family]) => [name, family.current]));
+  const promptExperiments = {};
+  for (const experiment of experiments.filter(e => e.active)) {
+    const arm = pickArm(experiment.arms, experimentBucket(experiment.id, uid || "anonymous"));
+    promptVersions[experiment.template] = arm;
+    promptExperiments[experiment.id] = { template: experiment.template, version: arm };
+  }
+  return { promptVersions, promptExperiments };
+}
+
+/** Throws when an experiment points at a template or version that doesn't exist. */
+export function validateExperiments(experiments = PROMPT_EXPERIMENTS) {
+  const ids = new Set();
+  for (const e of experiments) {
+    if (ids.has(e.id)) throw new Error(`Duplicate prompt experiment "${e.id}"`);
+    ids.add(e.id);
+    const arms = Object.entries(e.arms || {});
+    if (!arms.some(([, weight]) => weight > 0)) throw new Error(`Prompt experiment "${e.id}" has no weighted arms`);
+    for (const [version] of arms) getTemplate(e.template, version);
+  }
+  if (experiments.filter(e => e.active).length !== new Set(experiments.filter(e => e.active).map(e => e.template)).size) {
+    throw new Error("Only one active prompt experiment per template");
+  }
+}
+
+// Fail the deploy, not the first story, on a bad experiment config
+validateExperiments();
@@ -0,0 +1,130 @@
+import { z } from "zod";
+
+// ✅ Prompt templates. A version is immutable once stories reference it: change a prompt by
+// adding a version (and a golden file, see test/prompts.test.js), then point `current` at it
+// or run it as an experiment arm (src/prompts/registry.js). Variables are validated before
+// rendering, so a template never sees a missing or mistyped value.
+
+const PaletteEntry = z.object({ hex: z.string() }).passthrough();
+
+const StoryVariables = z.object({
+  room: z.string().min(1),
+  style: z.string().min(1),
+  vibeWords: z.array(z.string()),
+  brandHints: z.array(z.string()),
+  palette: z.array(PaletteEntry),
+  emphasis: z.string(),
+  // Plain-text palette analysis (analysisForPrompt), empty when the analysis step had nothing
+  analysis: z.string(),
+  locale: z.string(),
+  // Language name for non-English stories, null for English
+  language: z.string().nullable(),
+});
+
+const list = values => values.filter(Boolean).join(", ");
+
+const narrationV4 = {
+  description: "300–600 word narration: intro, one paragraph per role, lighting tips (audio chapters).",
+  variables: StoryVariables,
+  render(v) {
+    const lines = [
+      `You are an interior color expert. Write 300–600 words for a ${v.room} in ${v.style} style.`,
+    ];
+    if (v.emphasis) lines.push(`This is a VARIANT with emphasis on: ${v.emphasis}.`);
+    lines.push(
+      `Vibe words: ${list(v.vibeWords)}.`,
+      `Brand hints: ${list(v.brandHints)}.`,
+      `Use these paints (hex + brand/name/code if provided): ${JSON.stringify(v.palette)}.`,
+      "Explain role placement (main/trim/ceiling/accent/door/cabinet), finish & sheen, and simple lighting tips.",
+      // Paragraphs become audio chapters (src/media/ssml.js)
+      "Structure: a short introduction, then one paragraph per role that names the role first, then a closing paragraph of lighting tips.",
+      "Separate paragraphs with a blank line. Plain text only: no headings, lists or markdown.",
+    );
+    if (v.analysis) lines.push(v.analysis);
+    if (v.emphasis) lines.push(`Focus on the variant emphasis: ${v.emphasis}.`);
+    lines.push("Tone: warm, expert, practical.");
+    if (v.language) {
+      lines.push(`Write the narration in ${v.language} (${v.locale}). Keep paint names and codes as given.`);
+    }
+    return lines.join("\n");
+  },
+};
+
+const usageGuideV4 = {
+  description: "Strict JSON usage guide, 4–6 role rows (validated by USAGE_GUIDE).",
+  variables: StoryVariables,
+  render(v) {
+    const lines = [
+      "Return STRICT JSON array (4–6 items), no prose.",
+      "Each item keys: role, hex, name, brandName, code, surface, finishRecommendation, sheen, howToUse.",
+      `Match room=${v.room}, style=${v.style}, vibe=${list(v.vibeWords)}, brands=${list(v.brandHints)} and provided palette.`,
+      `Palette: ${JSON.stringify(v.palette)}.`,
+      "Roles should include main, trim, ceiling, accent and add door/cabinet if present.",
+    ];
+    if (v.analysis) lines.push(v.analysis);
+    if (v.emphasis) lines.push(`Focus on variant emphasis: ${v.emphasis}.`);
+    if (v.language) {
+      lines.push(`Write surface, finishRecommendation and howToUse in ${v.language}; keep keys and role values in English.`);
+    }
+    return lines.join("\n");
+  },
+};
+
+const heroV4 = {
+  description: "Photographic hero image of the room with the palette applied.",
+  variables: StoryVariables,
+  render(v) {
+    const lines = [`Ultra-realistic interior photograph of a ${v.room} in ${v.style} style.`];
+    if (v.emphasis) lines.push(`Variant emphasis: ${v.emphasis}.`);
+    lines.push(
+      "Natural daylight, clean staging, wide angle (~24mm), f/4.",
+      `Palette applied subtly on appropriate surfaces: ${v.palette.map(p => p.hex).join(", ")}.`,
+      `Mood: ${list(v.vibeWords)}.`,
+    );
+    if (v.emphasis) lines.push(`Special focus: ${v.emphasis}.`);
+    lines.push("No people, no text, no logos. 1600x900 composition.");
+    return lines.join("\n");
+  },
+};
+
+const translationV1 = {
+  description: "Narration translated for an extra audio track (src/pipeline/tracks.js).",
+  variables: z.object({
+    narration: z.string().min(1),
+    locale: z.string(),
+    language: z.string(),
+  }),
+  render(v) {
+    return [
+      `Translate this interior color narration into ${v.language} (${v.locale}).`,
+      "Keep paint names, brand names, codes and hex values unchanged. Return only the translated text.",
+      "",
+      v.narration,
+    ].join("\n");
+  },
+};
+
+const heroReviewV1 = {
+  description: "Safety review of a generated hero image before it's saved (src/pipeline/moderation.js).",
+  variables: z.object({
+    room: z.string().min(1),
+    categories: z.array(z.string()).min(1),
+  }),
+  render(v) {
+    return [
+      `You are reviewing an AI-generated interior photograph of a ${v.room} before it is published.`,
+      `Flag the image if it shows any of: ${v.categories.join("; ")}.`,
+      "Paint colors, furniture, plants and decor are expected and are not a reason to flag.",
+      'Return STRICT JSON only: {"safe": true|false, "categories": [flagged categories], "reason": "one short sentence"}.',
+    ].join("\n");
+  },
+};
+
+/** name → {current, versions}. `current` is what stories get outside experiments. */
+export const PROMPT_TEMPLATES = {
+  narration: { current: "v4", versions: { v4: narrationV4 } },
+  usageGuide: { current: "v4", versions: { v4: usageGuideV4 } },
+  hero: { current: "v4", versions: { v4: heroV4 } },
+  translation: { current: "v1", versions: { v1: translationV1 } },
+  heroReview: { current: "v1", versions: { v1: heroReviewV1 } },
+};
@@ -0,0 +1,35 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createStubProvider } from "./stub.js";
+
+// ✅ AI provider registry. Every provider implements:
+//   generateText({ prompt, format, images? }) -> { text, model, finishReason?, usage: { inputTokens, outputTokens } }
+//     images is [{ data: Buffer, mimeType }] for prompts about an image (hero review)
+//   generateImage({ prompt })                 -> { data, mimeType, model, usage: { inputTokens, outputTokens, images } }
+//   synthesizeSpeech({ text | ssml, voice, speakingRate }) -> { audioContent, mimeType, model, voice, usage: { characters } }
+//     voice is { languageCode, name } (Google Cloud TTS voice names, e.g. "es-ES-Neural2-A"); MP3 output
+// plus `models` (model id per kind) and an `attribution` map used for the story's *Attribution fields.
+// The pipeline meters every call into the usage ledger (src/usage_ledger.js).
+//
+// Select with AI_PROVIDER=gemini|stub (e.g. in functions/.env.local for the emulator).
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  stub: createStubProvider,
+};
+
+let current = null;
+
+export function getProvider() {
+  if (current) return current;
+  const id = (process.env.AI_PROVIDER || "gemini").toLowerCase();
+  const factory = PROVIDERS[id];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${id}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  current = factory();
+  return current;
+}
+
+// Test hook: swap the active provider without touching the environment.
+export function setProvider(provider) {
+  current = provider;
+}
@@ -0,0 +1,116 @@
+import crypto from "node:crypto";
+import { encodePng } from "../media/png.js";
+import { hexToRgb } from "../color/index.js";
+
+// ✅ Offline provider: same interface as Gemini, no network, no API keys.
+// Output depends only on the prompt so emulator runs and CI are reproducible.
+
+const ROLES = ["main", "trim", "ceiling", "accent", "door", "cabinet"];
+const FALLBACK_HEXES = ["#F2EFE9", "#FFFFFF", "#F7F7F5", "#4A6A5A"];
+
+function hexesIn(prompt) {
+  const found = (prompt.match(/#[0-9A-Fa-f]{6}\b/g) || []).map(h => h.toUpperCase());
+  return [...new Set(found)];
+}
+
+function seedOf(prompt) {
+  return crypto.createHash("sha1").update(prompt).digest().readUInt32BE(0);
+}
+
+function stubNarration(prompt) {
+  const hexes = hexesIn(prompt);
+  const list = hexes.length ? hexes.join(", ") : "a soft neutral palette";
+  return [
+    `This is an offline narration (stub ${seedOf(prompt).toString(16)}).`,
+    `The palette ${list} is arranged with the lightest tone on the ceiling, the main color on the walls and the deepest shade as an accent.`,
+    "Use eggshell on walls, semi-gloss on trim and flat on the ceiling.",
+    "Check samples in morning and evening light before committing.",
+  ].join(" ");
+}
+
+function stubUsageGuide(prompt) {
+  const hexes = hexesIn(prompt);
+  const source = hexes.length ? hexes : FALLBACK_HEXES;
+  const count = Math.min(6, Math.max(4, source.length));
+  return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+    role: ROLES[i],
+    hex: source[i % source.length],
+    name: `Stub ${ROLES[i]}`,
+    brandName: "Stub",
+    code: `STUB-${i + 1}`,
+    surface: ROLES[i] === "ceiling" ? "ceiling" : ROLES[i] === "main" ? "walls" : ROLES[i],
+    finishRecommendation: ROLES[i] === "ceiling" ? "flat" : ROLES[i] === "main" ? "eggshell" : "semi-gloss",
+    sheen: ROLES[i] === "ceiling" ? "flat" : ROLES[i] === "main" ? "eggshell" : "semi-gloss",
+    howToUse: `Apply as the ${ROLES[i]} color.`,
+  })));
+}
+
+function stubImage(prompt, width = 320, height = 180) {
+  const colors = (hexesIn(prompt).length ? hexesIn(prompt) : FALLBACK_HEXES).map(hexToRgb);
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    const [r, g, b] = colors[Math.floor((y / height) * colors.length)];
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 3;
+      rgb[o] = r;
+      rgb[o + 1] = g;
+      rgb[o + 2] = b;
+    }
+  }
+  return encodePng(width, height, rgb);
+}
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz frames with zeroed side info decode as silence.
+function silentMp3(text) {
+  const header = Buffer.from([0xff, 0xfb, 0x90, 0x64]);
+  const frame = Buffer.concat([header, Buffer.alloc(417 - header.length)]);
+  const frames = Math.min(2000, Math.max(10, Math.ceil(text.length / 4)));
+  return Buffer.concat(Array(frames).fill(frame));
+}
+
+// ≈4 characters per token, so the usage ledger has numbers offline
+const estimateTokens = text => Math.ceil((text || "").length / 4);
+
+export function createStubProvider() {
+  return {
+    id: "stub",
+    models: { text: "stub-text", image: "stub-image", speech: "stub-speech" },
+    attribution: {
+      text: { provider: "stub", model: "stub-text" },
+      image: { provider: "stub", model: "stub-image" },
+      speech: { provider: "stub" },
+    },
+
+    async generateText({ prompt, format = "text", images = [] }) {
+      // Image prompts are hero reviews; the stub's own images are always safe
+      const text = images.length
+        ? JSON.stringify({ safe: true, categories: [], reason: "stub review" })
+        : format === "json" ? stubUsageGuide(prompt) : stubNarration(prompt);
+      return {
+        text,
+        model: "stub-text",
+        usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) },
+      };
+    },
+
+    async generateImage({ prompt }) {
+      return {
+        data: stubImage(prompt),
+        mimeType: "image/png",
+        model: "stub-image",
+        usage: { inputTokens: estimateTokens(prompt), outputTokens: 0, images: 1 },
+      };
+    },
+
+    async synthesizeSpeech({ text, ssml, voice = { languageCode: "en-US", name: "stub-voice" } }) {
+      const spoken = ssml ? ssml.replace(/<[^>]+>/g, "") : text || "";
+      return {
+        audioContent: silentMp3(spoken),
+        mimeType: "audio/mpeg",
+        model: "stub-speech",
+        voice: voice.name,
+        usage: { characters: (ssml || text || "").length },
+      };
+    },
+  };
+}
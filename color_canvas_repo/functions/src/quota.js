@@ -0,0 +1,153 @@
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { admin, db } from "./firebase.js";
+import { isAdmin } from "./callable.js";
+
+// ✅ Per-user generation quotas: daily and monthly counts plus a sliding-window burst limit.
+// State lives in `userQuotas/{uid}`; admins (`admins/{uid}`) are never limited and can
+// set per-user overrides (`limits`) through setUserQuota.
+
+export const QUOTAS_COLLECTION = "userQuotas";
+
+export const DEFAULT_LIMITS = {
+  daily: 10,
+  monthly: 100,
+  burst: 3, // calls per burstWindowSeconds
+  burstWindowSeconds: 60,
+};
+
+const dayKey = now => now.toISOString().slice(0, 10); // UTC
+const monthKey = now => now.toISOString().slice(0, 7);
+
+function nextDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function nextMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+export function effectiveLimits(state) {
+  return { ...DEFAULT_LIMITS, ...(state?.limits || {}) };
+}
+
+/** Counters as of `now`: expired periods reset, the burst window pruned. */
+function currentUsage(state, now = new Date()) {
+  state = state || {};
+  const windowMs = effectiveLimits(state).burstWindowSeconds * 1000;
+  return {
+    day: dayKey(now),
+    dailyCount: state.day === dayKey(now) ? state.dailyCount || 0 : 0,
+    month: monthKey(now),
+    monthlyCount: state.month === monthKey(now) ? state.monthlyCount || 0 : 0,
+    recent: (state.recent || []).filter(ms => ms > now.getTime() - windowMs),
+  };
+}
+
+/** Client-facing usage summary. */
+export function usageSummary(state, { unlimited = false, now = new Date() } = {}) {
+  const limits = effectiveLimits(state);
+  const usage = currentUsage(state, now);
+  const burstReset = usage.recent.length ? usage.recent[0] + limits.burstWindowSeconds * 1000 : now.getTime();
+  return {
+    unlimited,
+    daily: { used: usage.dailyCount, limit: limits.daily, resetsAt: nextDay(now).toISOString() },
+    monthly: { used: usage.monthlyCount, limit: limits.monthly, resetsAt: nextMonth(now).toISOString() },
+    burst: {
+      used: usage.recent.length,
+      limit: limits.burst,
+      windowSeconds: limits.burstWindowSeconds,
+      resetsAt: new Date(burstReset).toISOString(),
+    },
+  };
+}
+
+/**
+ * Counts one generation call against the user's quota, atomically.
+ * @throws {HttpsError} resource-exhausted with {window, limit, used, resetsAt} details
+ * @returns {Promise<object>} usage summary after this call
+ */
+export async function consumeQuota(uid, { action = "generate" } = {}) {
+  if (await isAdmin(uid)) return usageSummary(null, { unlimited: true });
+
+  const ref = db.collection(QUOTAS_COLLECTION).doc(uid);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const state = snap.exists ? snap.data() : {};
+    const now = new Date();
+    const summary = usageSummary(state, { now });
+
+    for (const window of ["burst", "daily", "monthly"]) {
+      const { used, limit, resetsAt } = summary[window];
+      if (used >= limit) {
+        logger.warn("quota: Limit reached", { uid, action, window, used, limit });
+        const wait = window === "burst" ? "Please wait a moment" : `Resets at ${resetsAt}`;
+        throw new functions.https.HttpsError(
+          "resource-exhausted",
+          `${window[0].toUpperCase()}${window.slice(1)} generation limit reached (${limit}). ${wait}.`,
+          { window, limit, used, resetsAt }
+        );
+      }
+    }
+
+    const usage = currentUsage(state, now);
+    const next = {
+      ...usage,
+      dailyCount: usage.dailyCount + 1,
+      monthlyCount: usage.monthlyCount + 1,
+      recent: [...usage.recent, now.getTime()],
+    };
+    tx.set(ref, {
+      uid,
+      ...next,
+      lastAction: action,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return usageSummary({ ...state, ...next }, { now });
+  });
+}
+
+/**
+ * Gives back the unit consumeQuota just took, for a call that failed before its work was
+ * queued. Counts from an earlier day or month are left alone.
+ * @returns {Promise<object>} usage summary after the refund
+ */
+export async function refundQuota(uid, { action = "generate" } = {}) {
+  if (await isAdmin(uid)) return usageSummary(null, { unlimited: true });
+
+  const ref = db.collection(QUOTAS_COLLECTION).doc(uid);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const state = snap.exists ? snap.data() : {};
+    const now = new Date();
+    const usage = currentUsage(state, now);
+    const next = {
+      ...usage,
+      dailyCount: Math.max(0, usage.dailyCount - 1),
+      monthlyCount: Math.max(0, usage.monthlyCount - 1),
+      recent: usage.recent.slice(0, -1),
+    };
+    tx.set(ref, { ...next, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    logger.info("quota: Refunded", { uid, action });
+    return usageSummary({ ...state, ...next }, { now });
+  });
+}
+
+export async function getUsage(uid) {
+  const [snap, unlimited] = await Promise.all([db.collection(QUOTAS_COLLECTION).doc(uid).get(), isAdmin(uid)]);
+  return usageSummary(snap.exists ? snap.data() : null, { unlimited });
+}
+
+/** Admin override; `null` removes a field so the default applies again. */
+export async function setLimits(uid, limits) {
+  const patch = {};
+  for (const [key, value] of Object.entries(limits)) {
+    patch[key] = value === null ? admin.firestore.FieldValue.delete() : value;
+  }
+  await db.collection(QUOTAS_COLLECTION).doc(uid).set({
+    uid,
+    limits: patch,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  return getUsage(uid);
+}
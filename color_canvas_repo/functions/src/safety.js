@@ -0,0 +1,288 @@
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { findById, findByHex } from "./catalog.js";
+import { paletteItems } from "./pipeline/prompts.js";
+
+// ✅ Guardrails for user text that reaches the prompts: room and style must match an
+// allowlist (the id goes in `roomId` / `styleId`, `room` / `style` keep the app's label), free text (vibe words, brand hints, emphasis, paint names) is cleaned, length-limited
+// and rejected when it reads like instructions to the model or asks for unsafe content.
+// Output checks for generated narration and hero images live in src/pipeline/moderation.js.
+
+export const TEXT_LIMITS = {
+  vibeWord: 40,
+  vibeWords: 12,
+  brandHint: 40,
+  brandHints: 5,
+  emphasis: 200,
+  paintName: 80,
+  paletteName: 120,
+  narration: 12000,
+};
+
+// Ids match the app's room picker (lib/screens/color_story_wizard_screen.dart) plus the
+// rooms the rule-based usage guide knows. Labels are what the prompts say.
+export const ROOMS = {
+  living: { label: "living room", aliases: ["living", "lounge", "family room", "great room", "sitting room"] },
+  bedroom: { label: "bedroom", aliases: ["primary bedroom", "master bedroom", "guest room", "guest bedroom", "primary suite"] },
+  kitchen: { label: "kitchen", aliases: ["kitchenette", "pantry"] },
+  bathroom: { label: "bathroom", aliases: ["bath", "powder room", "ensuite", "en-suite", "washroom"] },
+  dining: { label: "dining room", aliases: ["dining"] },
+  office: { label: "home office", aliases: ["office", "study", "den", "library", "workspace"] },
+  kids: { label: "kids' room", aliases: ["kids room", "kids", "nursery", "playroom", "children's room"] },
+  hallway: { label: "hallway", aliases: ["hall", "entry", "entryway", "foyer", "mudroom", "stairway", "corridor"] },
+  laundry: { label: "laundry room", aliases: ["laundry", "utility room"] },
+  exterior: { label: "exterior", aliases: ["facade", "façade", "porch", "siding", "outside"] },
+};
+
+export const STYLES = {
+  modern: { label: "modern", aliases: [] },
+  contemporary: { label: "contemporary", aliases: [] },
+  "modern-farmhouse": { label: "modern farmhouse", aliases: ["farmhouse"] },
+  traditional: { label: "traditional", aliases: ["classic"] },
+  transitional: { label: "transitional", aliases: [] },
+  coastal: { label: "coastal", aliases: ["beach", "nautical"] },
+  rustic: { label: "rustic", aliases: ["cabin", "lodge"] },
+  minimalist: { label: "minimalist", aliases: ["minimal"] },
+  japandi: { label: "japandi", aliases: [] },
+  scandinavian: { label: "Scandinavian", aliases: ["scandi", "nordic"] },
+  "mid-century-modern": { label: "mid-century modern", aliases: ["mid-century", "midcentury", "mcm"] },
+  industrial: { label: "industrial", aliases: ["loft"] },
+  bohemian: { label: "bohemian", aliases: ["boho"] },
+  mediterranean: { label: "Mediterranean", aliases: ["tuscan", "spanish"] },
+  "art-deco": { label: "art deco", aliases: ["deco"] },
+  victorian: { label: "Victorian", aliases: [] },
+};
+
+export const DEFAULT_ROOM = "living";
+export const DEFAULT_STYLE = "modern";
+
+// Phrases that address the model rather than describe a room
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?(the\s+)?(previous|prior|above|earlier|preceding|your|these|those|system)\b/i,
+  /\b(system|developer|hidden)\s+(prompt|message|instructions?)\b/i,
+  /\b(new|updated|real|actual)\s+instructions?\b/i,
+  /\byou\s+are\s+(now|no\s+longer)\b/i,
+  /\b(act|behave|respond)\s+as\b/i,
+  /\bpretend\s+(to\s+be|you)\b/i,
+  /\b(reveal|repeat|print)\b[^.]{0,30}\b(prompt|instructions)\b/i,
+  /\b(jailbreak|DAN\s+mode)\b/i,
+  /^\s*(system|assistant|user|human)\s*:/im,
+  /<\/?\s*(system|assistant|user|instructions?|prompt)\b[^>]*>/i,
+  /\[\/?INST\]|<\|[^|]*\|>/i,
+  /```|\{\{|\}\}/,
+];
+
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(com|net|org|io|ai|ru|xyz)\b/i;
+
+// Terms we never put in a prompt, whatever the context
+const UNSAFE_TERMS = [
+  "nude", "nudity", "naked", "topless", "porn", "pornographic", "nsfw", "erotic", "fetish", "sexual",
+  "gore", "gory", "bloody", "corpse", "dead body", "decapitated", "murder", "suicide", "self-harm",
+  "weapon", "weapons", "gun", "guns", "firearm", "rifle", "bomb", "explosive",
+  "nazi", "swastika", "kkk", "white power",
+  "cocaine", "heroin", "meth",
+];
+const UNSAFE_PATTERN = new RegExp(`(?<![\\p{L}\\p{N}])(${UNSAFE_TERMS.join("|")})(?![\\p{L}\\p{N}])`, "iu");
+
+// Letters (any script), digits, spaces and the punctuation paint and mood names use
+const TEXT_PATTERN = /^[\p{L}\p{M}\p{N} '’‘"“”&.,:;!?%°®™\-/()#+]*$/u;
+
+/** NFKC, no control or zero-width characters, single spaces. */
+export function cleanText(value) {
+  return String(value ?? "")
+    .normalize("NFKC")
+    .replace(/[\p{Cc}\p{Cf}\s]+/gu, " ")
+    .trim();
+}
+
+/** The phrase that looks like an instruction to the model, or null. */
+export function findInjection(text) {
+  for (const pattern of INJECTION_PATTERNS) {
+    const match = String(text).match(pattern);
+    if (match) return match[0].trim();
+  }
+  return null;
+}
+
+/** The first unsafe term in `text`, or null. */
+export function findUnsafe(text) {
+  return String(text).match(UNSAFE_PATTERN)?.[1]?.toLowerCase() || null;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** `text` with the palette's paint names blanked out, longest first, for the unsafe-term check. */
+export function withoutPaintNames(text, paintNames) {
+  const names = paintNames.filter(Boolean).sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return names.length ? String(text).replace(new RegExp(names.join("|"), "gi"), " ") : String(text);
+}
+
+function reject(field, reason, message) {
+  logger.warn("safety: Input rejected", { field, reason });
+  throw new functions.https.HttpsError("invalid-argument", `${field}: ${message}`, { field, reason });
+}
+
+// "Mid-Century", "mid_century" and "mid century" compare equal
+function optionKey(text) {
+  return cleanText(text).toLowerCase().replace(/[-_\s]+/g, " ").trim();
+}
+
+function canonical(options, value, fallback, field) {
+  const text = optionKey(value);
+  if (!text) return fallback;
+  for (const [id, { label, aliases }] of Object.entries(options)) {
+    const names = [id, label, ...aliases].map(optionKey);
+    if (names.includes(text)) return id;
+  }
+  return reject(field, "unsupported", `Unsupported ${field} "${text.slice(0, 40)}". Use one of: ${Object.keys(options).join(", ")}`);
+}
+
+/** Room id from the allowlist ("Living Room" → "living"); empty means the default. */
+export function canonicalRoom(value) {
+  return canonical(ROOMS, value, DEFAULT_ROOM, "room");
+}
+
+export function canonicalStyle(value) {
+  return canonical(STYLES, value, DEFAULT_STYLE, "style");
+}
+
+// The app shows and filters on `room` / `style`, so they keep the label it sent
+function roomFields(value) {
+  const roomId = canonicalRoom(value);
+  return { room: cleanText(value) || ROOMS[roomId].label, roomId };
+}
+
+function styleFields(value) {
+  const styleId = canonicalStyle(value);
+  return { style: cleanText(value) || STYLES[styleId].label, styleId };
+}
+
+/**
+ * Prompt wording for a stored room, from `roomId` when the story has one. Stories from
+ * before the allowlist keep their free text, and those before `roomId` keep the id in `room`.
+ */
+export function roomLabel(value) {
+  return ROOMS[value]?.label || value || ROOMS[DEFAULT_ROOM].label;
+}
+
+export function styleLabel(value) {
+  return STYLES[value]?.label || value || DEFAULT_STYLE;
+}
+
+/**
+ * Cleans one free-text field and rejects it when it's too long, has unexpected characters,
+ * reads like an instruction to the model or names unsafe content. `catalog` skips the unsafe
+ * terms for text taken from the paint catalog ("Nude W-f-210" is a Behr off-white). `prose`
+ * skips the character check for generated text, which has dashes, quotes and other scripts.
+ * @throws {functions.https.HttpsError} invalid-argument with `details: {field, reason}`
+ */
+export function safeText(value, field, { max, catalog = false, prose = false }) {
+  const text = cleanText(value);
+  if (text.length > max) reject(field, "too-long", `Keep it under ${max} characters`);
+  if (LINK_PATTERN.test(text)) reject(field, "link", "Links aren't allowed");
+  const injection = findInjection(text);
+  if (injection) {
+    reject(field, "injection", `"${injection.slice(0, 40)}" reads like an instruction. Describe colors, rooms and moods only`);
+  }
+  const unsafe = catalog ? null : findUnsafe(text);
+  if (unsafe) reject(field, "unsafe", `"${unsafe}" isn't allowed in a color story`);
+  if (!prose && !TEXT_PATTERN.test(text)) reject(field, "characters", "Use letters, numbers and basic punctuation only");
+  return text;
+}
+
+function safeList(values, field, { max, maxItems }) {
+  if (values.length > maxItems) reject(field, "too-many", `Use at most ${maxItems}`);
+  const cleaned = values.map((v, i) => safeText(v, `${field}.${i}`, { max })).filter(Boolean);
+  return [...new Map(cleaned.map(v => [v.toLowerCase(), v])).values()];
+}
+
+// The catalog paint an item names: its paintId, else an exact hex match with the same name
+function catalogPaint(item) {
+  const byId = item.paintId ? findById(item.paintId) : null;
+  if (byId) return byId;
+  const name = cleanText(item.name).toLowerCase();
+  return name ? findByHex(item.hex).find(p => p.name.toLowerCase() === name) || null : null;
+}
+
+function safePaletteItems(items, field) {
+  return items.map((item, i) => {
+    const paint = catalogPaint(item);
+    return {
+      ...item,
+      ...Object.fromEntries(
+        ["name", "brandName", "code"]
+          .filter(key => item[key] != null)
+          .map(key => [key, safeText(item[key], `${field}.${i}.${key}`, {
+            max: TEXT_LIMITS.paintName,
+            catalog: Boolean(paint) && cleanText(item[key]).toLowerCase() === cleanText(paint[key]).toLowerCase(),
+          })])
+      ),
+    };
+  });
+}
+
+/**
+ * Sanitized copy of generateColorStory input: room and style with their allowlist ids,
+ * cleaned vibe words, brand hints, palette and paint names.
+ */
+export function sanitizeStoryInput(input) {
+  const out = {
+    ...input,
+    ...roomFields(input.room),
+    ...styleFields(input.style),
+    vibeWords: safeList(input.vibeWords || [], "vibeWords", { max: TEXT_LIMITS.vibeWord, maxItems: TEXT_LIMITS.vibeWords }),
+    brandHints: safeList(input.brandHints || [], "brandHints", { max: TEXT_LIMITS.brandHint, maxItems: TEXT_LIMITS.brandHints }),
+  };
+  if (input.palette) {
+    out.palette = {
+      ...input.palette,
+      name: safeText(input.palette.name, "palette.name", { max: TEXT_LIMITS.paletteName }) || "Untitled",
+      items: safePaletteItems(input.palette.items, "palette.items"),
+    };
+  }
+  if (input.paletteName != null) {
+    out.paletteName = safeText(input.paletteName, "paletteName", { max: TEXT_LIMITS.paletteName });
+  }
+  return out;
+}
+
+/** Sanitized room, style and vibe words for regenerateStory; only the fields given. */
+export function sanitizeStoryChanges({ room, style, vibeWords }) {
+  return {
+    ...(room != null ? roomFields(room) : {}),
+    ...(style != null ? styleFields(style) : {}),
+    ...(vibeWords != null
+      ? { vibeWords: safeList(vibeWords, "vibeWords", { max: TEXT_LIMITS.vibeWord, maxItems: TEXT_LIMITS.vibeWords }) }
+      : {}),
+  };
+}
+
+/**
+ * Content checks for a stored story's prompt fields before a retry, variant or translation
+ * re-renders its prompts. Owners and editors can edit these directly in Firestore, and stories
+ * from before the allowlist keep their free-text room and style, so only length and content
+ * are checked. `paletteAnalysis` isn't checked: the steps recompute it.
+ */
+export function checkStoryInputs(story) {
+  const max = TEXT_LIMITS.emphasis;
+  safeText(story.room, "room", { max });
+  safeText(story.style, "style", { max });
+  safeText(story.roomId, "roomId", { max });
+  safeText(story.styleId, "styleId", { max });
+  safeText(story.emphasis, "emphasis", { max });
+  safeList(story.vibeWords || [], "vibeWords", { max, maxItems: Infinity });
+  safeList(story.brandHints || [], "brandHints", { max, maxItems: Infinity });
+  safePaletteItems(story.palette?.items || [], "palette.items");
+  // The translation prompt quotes it; paint names are left out as in moderateNarration
+  const paintNames = paletteItems(story).map(i => i.name);
+  safeText(withoutPaintNames(story.narration, paintNames), "narration", { max: TEXT_LIMITS.narration, prose: true });
+}
+
+/** Sanitized emphasis, vibe tweaks and swapped-in paints for generateColorStoryVariant. */
+export function sanitizeVariantInput({ emphasis = "", vibeTweaks = [], swaps = [] }) {
+  return {
+    emphasis: safeText(emphasis, "emphasis", { max: TEXT_LIMITS.emphasis }),
+    vibeTweaks: safeList(vibeTweaks, "vibeTweaks", { max: TEXT_LIMITS.vibeWord, maxItems: TEXT_LIMITS.vibeWords }),
+    swaps: swaps.map((swap, i) => ({ ...swap, to: safePaletteItems([swap.to], `swaps.${i}.to`)[0] })),
+  };
+}
@@ -0,0 +1,237 @@
+import { z } from "zod";
+import { SUPPORTED_LOCALES } from "./voices.js";
+
+// ✅ Input validation schemas
+export const PaletteItem = z.object({
+  hex: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
+  brandName: z.string().optional(),
+  name: z.string().optional(),
+  code: z.string().optional(),
+  paintId: z.string().optional(),
+});
+
+export const ModernPalette = z.object({
+  id: z.string().optional(),
+  name: z.string().default("Untitled"),
+  items: z.array(PaletteItem).min(1, "Palette items cannot be empty"),
+});
+
+// ✅ Narration language and voice (defaults come from the user's profile, see src/voices.js)
+const AudioOptions = {
+  locale: z.enum(SUPPORTED_LOCALES).optional(),
+  voice: z.string().regex(/^[a-z]{2}-[A-Z]{2}-[A-Za-z0-9-]+$/, "Expected a TTS voice name like es-ES-Neural2-A").optional(),
+  speakingRate: z.number().min(0.25).max(4).optional(),
+};
+
+// Client-generated key (e.g. a UUID) that makes a generation call safe to retry
+export const RequestId = z.string().regex(/^[A-Za-z0-9_-]{8,128}$/, "requestId must be 8-128 letters, digits, '-' or '_'");
+
+export const InputSchema = z.object({
+  // Modern format
+  palette: ModernPalette.optional(),
+
+  // Legacy format
+  paletteName: z.string().optional(),
+  colors: z.array(z.string().regex(/^#[0-9A-Fa-f]{6}$/)).optional(),
+
+  // Common
+  room: z.string(),
+  style: z.string(),
+  vibeWords: z.array(z.string()).default([]),
+  brandHints: z.array(z.string()).default([]),
+  // "rules" skips the model and builds the usage guide from the palette (fast mode)
+  usageGuideMode: z.enum(["ai", "rules"]).default("ai"),
+  requestId: RequestId.optional(),
+  ...AudioOptions,
+});
+
+// ✅ Variants: same story, new emphasis, optionally with palette colors swapped out
+const PaletteSwap = z.object({
+  index: z.number().int().min(0).optional(),
+  from: z.string().regex(/^#?[0-9A-Fa-f]{6}$/).optional(),
+  to: PaletteItem,
+}).refine(d => (d.index == null) !== (d.from == null), "Identify the color to replace by index or by from (hex)");
+
+export const VariantInput = z.object({
+  storyId: z.string().min(1),
+  emphasis: z.string().max(200).default(""),
+  vibeTweaks: z.array(z.string()).default([]),
+  swaps: z.array(PaletteSwap).max(9).default([]),
+  requestId: RequestId.optional(),
+});
+
+export const StoryIdInput = z.object({
+  storyId: z.string().min(1),
+});
+
+export const RetryStepInput = z.object({
+  storyId: z.string().min(1),
+  step: z.string().min(1),
+  ...AudioOptions,
+});
+
+// At least one story input to change; everything else is kept
+export const RegenerateStoryInput = z.object({
+  storyId: z.string().min(1),
+  room: z.string().optional(),
+  style: z.string().optional(),
+  vibeWords: z.array(z.string()).optional(),
+}).refine(d => d.room != null || d.style != null || d.vibeWords != null, "Provide room, style or vibeWords to change");
+
+export const AudioTrackInput = z.object({
+  storyId: z.string().min(1),
+  ...AudioOptions,
+  locale: z.enum(SUPPORTED_LOCALES),
+});
+
+export const ExportStoryInput = z.object({
+  storyId: z.string().min(1),
+  formats: z.array(z.enum(["pdf", "html"])).min(1).optional(),
+});
+
+export const USAGE_ITEM = z.object({
+  role: z.string(),
+  hex: z.string().regex(/^#[0-9A-Fa-f]{6}$/),
+  name: z.string(),
+  brandName: z.string(),
+  code: z.string(),
+  surface: z.string(),
+  finishRecommendation: z.string(),
+  sheen: z.string(),
+  howToUse: z.string()
+});
+export const USAGE_GUIDE = z.array(USAGE_ITEM).min(4).max(6);
+
+// ✅ Paint catalog callables
+const HexString = z.string().regex(/^#?[0-9A-Fa-f]{6}$/, "Expected a hex color like #A1B2C3");
+
+export const SearchPaintsInput = z.object({
+  query: z.string().trim().min(1).max(100),
+  brands: z.array(z.string()).default([]),
+  limit: z.number().int().min(1).max(50).default(20),
+});
+
+export const PaintByHexInput = z.object({
+  hex: HexString,
+  brands: z.array(z.string()).default([]),
+});
+
+export const BrandPaintsInput = z.object({
+  brand: z.string().min(1),
+  limit: z.number().int().min(1).max(500).default(100),
+  offset: z.number().int().min(0).default(0),
+});
+
+export const AnalyzePaletteInput = z.object({
+  colors: z.array(HexString).min(1).max(12).optional(),
+  room: z.string().max(80).optional(),
+  storyId: z.string().optional(),
+}).refine(d => d.colors || d.storyId, "Provide colors[] or storyId");
+
+export const MatchPaintsInput = z.object({
+  colors: z.array(HexString).min(1).max(12),
+  brandHints: z.array(z.string()).default([]),
+  limit: z.number().int().min(1).max(10).default(3),
+  crossBrand: z.boolean().default(true),
+});
+
+// ✅ Palette roller (mirrors HarmonyMode in lib/utils/palette_generator.dart)
+const LockedColor = z.union([HexString, z.object({ hex: HexString, paintId: z.string().optional() })]);
+
+export const GeneratePaletteInput = z.object({
+  size: z.number().int().min(1).max(9).default(5),
+  mode: z.enum(["neutral", "analogous", "complementary", "triad", "designer"]).default("designer"),
+  // Positional: null keeps a slot free, e.g. [null, "#F2EFE6", null]
+  locked: z.array(LockedColor.nullable()).max(9).default([]),
+  brands: z.array(z.string()).default([]),
+  diversifyBrands: z.boolean().default(true),
+  seed: z.union([z.number().int(), z.string().min(1).max(64)]).optional(),
+  name: z.string().max(80).optional(),
+}).refine(d => d.locked.length <= d.size, { message: "locked has more slots than size", path: ["locked"] });
+
+// ✅ Story visibility and sharing (see src/sharing.js)
+export const StoryVisibilityInput = z.object({
+  storyId: z.string().min(1),
+  access: z.enum(["private", "unlisted", "public"]),
+});
+
+const ShareTarget = z.object({
+  storyId: z.string().min(1),
+  uid: z.string().min(1).optional(),
+  email: z.string().trim().toLowerCase().email().optional(),
+});
+
+export const ShareStoryInput = ShareTarget.extend({
+  role: z.enum(["viewer", "editor"]).default("viewer"),
+}).refine(d => Boolean(d.uid) !== Boolean(d.email), "Provide either uid or email");
+
+export const RevokeShareInput = ShareTarget.refine(d => Boolean(d.uid) !== Boolean(d.email), "Provide either uid or email");
+
+// ✅ Account data export and deletion (src/account_data.js)
+export const ExportMyDataInput = z.object({
+  includeMedia: z.boolean().default(true),
+});
+
+// The app asks the user to confirm; the flag makes an accidental call fail
+export const DeleteAccountInput = z.object({
+  confirm: z.literal(true),
+});
+
+// ✅ Admin quota overrides (null resets a limit to the default)
+const QuotaLimit = z.number().int().min(0).max(100000).nullable().optional();
+
+export const UserQuotaInput = z.object({
+  uid: z.string().min(1),
+  daily: QuotaLimit,
+  monthly: QuotaLimit,
+  burst: QuotaLimit,
+  burstWindowSeconds: z.number().int().min(1).max(3600).nullable().optional(),
+});
+
+// ✅ Admin usage report (src/usage_ledger.js)
+const IsoDay = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected a UTC day like 2025-01-31");
+
+export const UsageReportInput = z.object({
+  from: IsoDay,
+  to: IsoDay,
+  uid: z.string().optional(),
+  model: z.string().optional(),
+  storyId: z.string().optional(),
+  groupBy: z.array(z.enum(["day", "uid", "model", "provider", "kind", "step", "storyId"])).max(4).default(["day"]),
+}).refine(d => d.from <= d.to, { message: "from must not be after to", path: ["from"] })
+  .refine(d => (Date.parse(d.to) - Date.parse(d.from)) / 86400000 <= 92, { message: "Range is limited to 92 days", path: ["to"] });
+
+// ✅ Palette interchange (src/palette_formats)
+export const PALETTE_FILE_FORMATS = ["ase", "gpl", "swatches", "css", "json"];
+
+// The documented JSON format ("json"); the same shape exportPalette writes
+export const PaletteFileColor = z.object({
+  hex: HexString,
+  name: z.string().max(120).optional(),
+  brandName: z.string().max(80).optional(),
+  code: z.string().max(40).optional(),
+  paintId: z.string().max(120).optional(),
+  roles: z.array(z.string().max(40)).max(6).optional(),
+});
+
+export const PaletteFile = z.object({
+  format: z.literal("colorcanvas.palette").optional(),
+  version: z.literal(1).optional(),
+  name: z.string().min(1).max(120).default("Imported palette"),
+  colors: z.array(PaletteFileColor).min(1).max(100),
+});
+
+export const ImportPaletteInput = z.object({
+  format: z.enum(PALETTE_FILE_FORMATS),
+  // Base64 for ase/swatches; text formats accept plain text unless encoding is "base64"
+  data: z.string().min(1).max(2_000_000),
+  encoding: z.enum(["base64", "utf8"]).optional(),
+  name: z.string().min(1).max(120).optional(),
+  brandHints: z.array(z.string()).max(5).default([]),
+});
+
+export const ExportPaletteInput = z.object({
+  format: z.enum(PALETTE_FILE_FORMATS),
+  paletteId: z.string().min(1).optional(),
+  storyId: z.string().min(1).optional(),
+}).refine(d => Boolean(d.paletteId) !== Boolean(d.storyId), "Provide either paletteId or storyId");
@@ -0,0 +1,29 @@
+// ✅ Story visibility and sharing model (mirrored in firestore.rules and storage.rules)
+// access: "private"  — owner and the users in `shares`
+//         "unlisted" — anyone with the story id / link, but never listed in queries
+//         "public"   — anyone; media gets permanent URLs
+// shares: { [uid]: { role: "viewer" | "editor", email, sharedAt } }, plus `sharedWith: [uid]` for queries.
+// Editors can change story content; only the owner changes access and shares.
+
+export const ACCESS_LEVELS = ["private", "unlisted", "public"];
+export const SHARE_ROLES = ["viewer", "editor"];
+
+const RANK = { viewer: 1, editor: 2, owner: 3 };
+
+/** The caller's role on a story: "owner", "editor", "viewer" or null. */
+export function storyRole(uid, story) {
+  if (!uid || !story) return null;
+  if (story.ownerId === uid) return "owner";
+  return story.shares?.[uid]?.role || null;
+}
+
+/** Whether anyone holding the story id may read it without a role. */
+export function isLinkReadable(story) {
+  return story?.access === "public" || story?.access === "unlisted";
+}
+
+export function hasRole(uid, story, minRole) {
+  const role = storyRole(uid, story);
+  if (minRole === "viewer" && isLinkReadable(story)) return true;
+  return Boolean(role) && RANK[role] >= RANK[minRole];
+}
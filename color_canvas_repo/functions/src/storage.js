@@ -0,0 +1,67 @@
+import { admin, storage } from "./firebase.js";
+
+export function defaultBucket() {
+  const parsed = process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : null;
+  const bucketName = parsed?.storageBucket || admin.app().options.storageBucket;
+  return storage.bucket(bucketName);
+}
+
+/**
+ * Saves a private object and returns its storage path.
+ * Readers get URLs through src/media/access.js, which follows the story's `access`.
+ */
+export async function uploadBuffer(path, buffer, contentType) {
+  const file = defaultBucket().file(path);
+  await file.save(buffer, { contentType, resumable: false, validation: false });
+  return path;
+}
+
+/** Writable stream for a private object; the upload is done once the stream emits "finish". */
+export function uploadStream(path, contentType) {
+  return defaultBucket().file(path).createWriteStream({ contentType, resumable: false, validation: false });
+}
+
+export async function downloadBuffer(path) {
+  const [buffer] = await defaultBucket().file(path).download();
+  return buffer;
+}
+
+/** Objects under `prefix` with their creation time. */
+export async function listFiles(prefix) {
+  const [files] = await defaultBucket().getFiles({ prefix });
+  return files.map(file => ({ path: file.name, createdAt: Date.parse(file.metadata?.timeCreated || 0) || 0 }));
+}
+
+/** Deletes an object; one that's already gone counts as deleted. */
+export async function deleteFile(path) {
+  await defaultBucket().file(path).delete({ ignoreNotFound: true });
+}
+
+/** Permanent URL; only readable once the object is public. */
+export function publicUrl(path) {
+  return `https://storage.googleapis.com/${defaultBucket().name}/${path}`;
+}
+
+/** Storage path for a URL returned by publicUrl() (stories written before signed delivery). */
+export function pathFromPublicUrl(url) {
+  const prefix = `https://storage.googleapis.com/${defaultBucket().name}/`;
+  return typeof url === "string" && url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length).split("?")[0]) : null;
+}
+
+export async function signedUrl(path, ttlMs) {
+  const [url] = await defaultBucket().file(path).getSignedUrl({ version: "v4", action: "read", expires: Date.now() + ttlMs });
+  return url;
+}
+
+export async function setObjectPublic(path, isPublic) {
+  const file = defaultBucket().file(path);
+  try {
+    await (isPublic ? file.makePublic() : file.makePrivate());
+  } catch (err) {
+    if (err.code !== 404) throw err; // already removed
+  }
+}
+
+export function imageExtension(mimeType) {
+  return mimeType === "image/png" ? "png" : "jpg";
+}
@@ -0,0 +1,108 @@
+import * as functions from "firebase-functions";
+import { logger } from "firebase-functions";
+import { admin } from "./firebase.js";
+import { uploadBuffer, downloadBuffer, publicUrl } from "./storage.js";
+import { isPublicAccess, mediaUrl, storyMediaPaths, storyMediaUrls } from "./media/access.js";
+import { isEmbeddableImage } from "./media/pdf.js";
+import { renderSpecSheet } from "./media/spec_sheet.js";
+import { renderStoryPage } from "./media/story_page.js";
+import { renderHeroPng } from "./media/hero.js";
+import { paletteHexes, paletteItems } from "./pipeline/prompts.js";
+
+// ✅ Story exports: a printable PDF spec sheet (`color_stories/exports/{storyId}.pdf`,
+// delivered like the rest of the story's media) and, for public stories, a static share
+// page (`color_stories/pages/{storyId}.html`). The page object stays private; Hosting
+// serves it at /stories/{storyId} through the storyPage function, and only while the
+// story is public.
+
+export const EXPORT_FORMATS = ["pdf", "html"];
+
+/** Where share pages live: PUBLIC_SITE_URL, else the project's default Hosting site. */
+export function siteUrl() {
+  if (process.env.PUBLIC_SITE_URL) return process.env.PUBLIC_SITE_URL.replace(/\/+$/, "");
+  const config = process.env.FIREBASE_CONFIG ? JSON.parse(process.env.FIREBASE_CONFIG) : {};
+  const projectId = config.projectId || process.env.GCLOUD_PROJECT || admin.app().options.projectId;
+  return `https://${projectId}.web.app`;
+}
+
+export const storyPageUrl = storyId => `${siteUrl()}/stories/${encodeURIComponent(storyId)}`;
+
+// Always derived from the id: `exports.htmlPath` is story data and only informs clients
+export const storyPagePath = storyId => `color_stories/pages/${storyId}.html`;
+
+/** The stored hero when the PDF writer can embed it, else the palette rendering. */
+async function printableHero(storyId, story) {
+  const path = storyMediaPaths(storyId, story).hero;
+  if (path) {
+    try {
+      const buffer = await downloadBuffer(path);
+      if (isEmbeddableImage(buffer)) return buffer;
+    } catch (err) {
+      logger.warn("export: Hero download failed, using the palette rendering", { path, error: err.message });
+    }
+  }
+  return renderHeroPng(paletteHexes(story), { width: 1000, room: story.roomId || story.room });
+}
+
+/** Share page HTML with permanent URLs; only meaningful for public stories. */
+export async function storyPageHtml(storyId, story) {
+  const urls = await storyMediaUrls(storyId, { ...story, access: "public" });
+  return renderStoryPage(story, {
+    pageUrl: storyPageUrl(storyId),
+    heroUrl: urls.heroImageUrl,
+    audioUrl: urls.audioUrl,
+    pdfUrl: urls.exports?.pdfUrl,
+  });
+}
+
+/**
+ * Renders and stores the requested formats, then links them from the story.
+ * @param {{docRef: FirebaseFirestore.DocumentReference, story: object, formats?: string[]}} opts
+ *   formats default to the PDF, plus the page when the story is public
+ * @returns {Promise<{pdfUrl?: string, pageUrl?: string, mediaUrlsExpireAt: Date|null}>}
+ */
+export async function exportStory({ docRef, story, formats }) {
+  const storyId = docRef.id;
+  const isPublic = isPublicAccess(story.access);
+  const wanted = formats || (isPublic ? EXPORT_FORMATS : ["pdf"]);
+  if (!paletteItems(story).length) {
+    throw new functions.https.HttpsError("failed-precondition", "The story has no palette to export");
+  }
+  if (wanted.includes("html") && !isPublic) {
+    throw new functions.https.HttpsError("failed-precondition", "Only public stories get a share page");
+  }
+
+  const exports = { ...story.exports };
+  if (wanted.includes("pdf")) {
+    // Signed URLs expire long before paper does, so QR codes only go on public stories
+    const audioPath = storyMediaPaths(storyId, story).audio;
+    const links = isPublic ? [{ label: "Open this story", url: storyPageUrl(storyId) }] : [];
+    if (isPublic && audioPath) links.push({ label: "Listen to the narration", url: publicUrl(audioPath) });
+    const pdf = renderSpecSheet(story, {
+      hero: await printableHero(storyId, story),
+      links,
+      note: isPublic ? null : "QR links are added when the story is public.",
+    });
+    exports.pdfPath = await uploadBuffer(`color_stories/exports/${storyId}.pdf`, pdf, "application/pdf");
+    exports.pdfUrl = await mediaUrl(exports.pdfPath, story.access);
+  }
+  if (wanted.includes("html")) {
+    const html = await storyPageHtml(storyId, { ...story, exports });
+    exports.htmlPath = await uploadBuffer(storyPagePath(storyId), Buffer.from(html), "text/html; charset=utf-8");
+    exports.pageUrl = storyPageUrl(storyId);
+  }
+
+  // Re-sign everything so all media URLs share one expiry
+  const urls = await storyMediaUrls(storyId, { ...story, exports });
+  await docRef.set({
+    ...urls,
+    exports: { ...exports, ...urls.exports, exportedAt: admin.firestore.FieldValue.serverTimestamp() },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  logger.info("export: Story exported", { storyId, formats: wanted });
+  return {
+    pdfUrl: urls.exports?.pdfUrl ?? exports.pdfUrl,
+    pageUrl: exports.pageUrl,
+    mediaUrlsExpireAt: urls.mediaUrlsExpireAt ?? null,
+  };
+}
@@ -0,0 +1,183 @@
+import { z } from "zod";
+import { logger } from "firebase-functions";
+
+// ✅ Structured output from LLM text: extract → coerce → validate → (re-prompt once).
+// Every fix applied along the way is reported in `repairs` so it can be stored with the result.
+
+export class StructuredOutputError extends Error {
+  constructor(message, { issues = [], repairs = [], raw = "" } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.issues = issues;
+    this.repairs = repairs;
+    this.raw = raw;
+  }
+}
+
+/**
+ * Finds the first complete JSON array or object in `text`, ignoring brackets inside strings.
+ * @returns {{json: string, repairs: string[]} | null}
+ */
+export function extractJson(text) {
+  const repairs = [];
+  let body = String(text || "").trim();
+
+  const fence = /```(?:json|JSON)?\s*([\s\S]*?)```/.exec(body);
+  if (fence) {
+    body = fence[1].trim();
+    repairs.push("stripped markdown code fence");
+  }
+
+  const start = body.search(/[[{]/);
+  if (start < 0) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+    if (ch === "\"") inString = true;
+    else if (ch === "[" || ch === "{") stack.push(ch === "[" ? "]" : "}");
+    else if (ch === "]" || ch === "}") {
+      if (stack.pop() !== ch) return null;
+      if (!stack.length) {
+        if (start > 0 || i < body.length - 1) repairs.push("removed text around the JSON");
+        return { json: body.slice(start, i + 1), repairs };
+      }
+    }
+  }
+  return null;
+}
+
+export function coerceHex(value) {
+  const m = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(String(value ?? "").trim());
+  if (!m) return null;
+  const digits = m[1].length === 3 ? m[1].split("").map(d => d + d).join("") : m[1];
+  return `#${digits.toUpperCase()}`;
+}
+
+const USAGE_KEY_ALIASES = {
+  finish: "finishRecommendation",
+  finish_recommendation: "finishRecommendation",
+  brand: "brandName",
+  brand_name: "brandName",
+  how_to_use: "howToUse",
+  usage: "howToUse",
+  colorName: "name",
+};
+const USAGE_STRING_FIELDS = ["role", "name", "brandName", "code", "surface", "finishRecommendation", "sheen", "howToUse"];
+
+/**
+ * Fixes near-miss usage guide items: wrapped arrays, key aliases,
+ * hex formatting and missing/non-string optional fields.
+ */
+export function coerceUsageGuide(value, repairs) {
+  let items = value;
+  if (!Array.isArray(items) && items && typeof items === "object") {
+    const key = ["usageGuide", "items", "guide", "colors"].find(k => Array.isArray(items[k]));
+    if (key) {
+      items = items[key];
+      repairs.push(`unwrapped array from "${key}"`);
+    }
+  }
+  if (!Array.isArray(items)) return items;
+
+  return items.map((raw, i) => {
+    if (!raw || typeof raw !== "object") return raw;
+    const item = {};
+    for (const [k, v] of Object.entries(raw)) {
+      const key = USAGE_KEY_ALIASES[k] || k;
+      if (key !== k) repairs.push(`item ${i + 1}: renamed "${k}" to "${key}"`);
+      item[key] = v;
+    }
+    const hex = coerceHex(item.hex);
+    if (hex && hex !== item.hex) {
+      repairs.push(`item ${i + 1}: normalized hex "${item.hex}" to "${hex}"`);
+      item.hex = hex;
+    }
+    for (const field of USAGE_STRING_FIELDS) {
+      if (item[field] === undefined || item[field] === null) {
+        if (field === "role") continue;
+        item[field] = field === "name" && item.hex ? item.hex : "";
+        repairs.push(`item ${i + 1}: filled missing ${field}`);
+      } else if (typeof item[field] !== "string") {
+        item[field] = String(item[field]);
+        repairs.push(`item ${i + 1}: converted ${field} to text`);
+      }
+    }
+    return item;
+  });
+}
+
+function clampToSchema(value, schema, repairs) {
+  const max = schema instanceof z.ZodArray ? schema._def.maxLength?.value : undefined;
+  if (Array.isArray(value) && max !== undefined && value.length > max) {
+    repairs.push(`dropped ${value.length - max} extra item(s) (max ${max})`);
+    return value.slice(0, max);
+  }
+  return value;
+}
+
+function issueMessages(error) {
+  return (error.issues || []).map(i => `${i.path.join(".") || "(root)"}: ${i.message}`);
+}
+
+/**
+ * Parses model text against a zod schema, repairing what it safely can.
+ * @returns {{value: any, repairs: string[]}}
+ * @throws {StructuredOutputError}
+ */
+export function parseStructured(text, schema, { coerce } = {}) {
+  const extracted = extractJson(text);
+  if (!extracted) {
+    throw new StructuredOutputError("No JSON array or object found in model output", { raw: text });
+  }
+  const repairs = [...extracted.repairs];
+
+  let value;
+  try {
+    value = JSON.parse(extracted.json);
+  } catch (err) {
+    throw new StructuredOutputError(`Invalid JSON: ${err.message}`, { repairs, raw: text });
+  }
+  if (coerce) value = coerce(value, repairs);
+  value = clampToSchema(value, schema, repairs);
+
+  const result = schema.safeParse(value);
+  if (!result.success) {
+    const issues = issueMessages(result.error);
+    throw new StructuredOutputError(`Schema validation failed: ${issues.join("; ")}`, { issues, repairs, raw: text });
+  }
+  return { value: result.data, repairs };
+}
+
+/**
+ * Asks the provider for JSON and parses it; on failure re-prompts once with the validation errors.
+ * `images` ({data, mimeType}[]) are sent with both prompts.
+ * @returns {Promise<{value: any, repairs: string[], attempts: number}>}
+ */
+export async function generateStructured({ ai, prompt, schema, coerce, images }) {
+  const first = await ai.generateText({ prompt, format: "json", images });
+  try {
+    return { ...parseStructured(first.text, schema, { coerce }), attempts: 1 };
+  } catch (err) {
+    if (!(err instanceof StructuredOutputError)) throw err;
+    logger.warn("structuredOutput: First response invalid, re-prompting", { error: err.message });
+
+    const problems = err.issues.length ? err.issues : [err.message];
+    const retryPrompt = `${prompt}
+
+Your previous response could not be used:
+${problems.map(p => `- ${p}`).join("\n")}
+Return ONLY the corrected JSON, no markdown and no commentary.`;
+    const second = await ai.generateText({ prompt: retryPrompt, format: "json", images });
+    const parsed = parseStructured(second.text, schema, { coerce });
+    return { value: parsed.value, repairs: [`re-prompted after: ${err.message}`, ...parsed.repairs], attempts: 2 };
+  }
+}
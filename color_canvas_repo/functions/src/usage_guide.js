@@ -0,0 +1,193 @@
+import { USAGE_GUIDE } from "./schemas.js";
+import { normalizeHex, hexToLch, contrastRatio } from "./color/index.js";
+import { findByHex, resolveBrands } from "./catalog.js";
+import { roomLabel, styleLabel } from "./safety.js";
+
+// ✅ Rule-based usage guide: always returns a valid USAGE_GUIDE payload.
+// Used when the model's guide can't be parsed, and as the "rules" (fast) usage guide mode.
+
+const ROOM_KEYWORDS = [
+  ["kitchen", ["kitchen", "pantry", "kitchenette"]],
+  ["bathroom", ["bath", "powder", "restroom", "ensuite", "en-suite", "washroom"]],
+  ["bedroom", ["bedroom", "primary suite", "master", "guest room"]],
+  ["kids", ["nursery", "kid", "child", "playroom"]],
+  ["dining", ["dining"]],
+  ["office", ["office", "study", "den", "library"]],
+  ["hallway", ["hall", "entry", "foyer", "mudroom", "stair", "corridor"]],
+  ["laundry", ["laundry", "utility"]],
+  ["exterior", ["exterior", "facade", "façade", "porch", "outside", "siding"]],
+  ["living", ["living", "family", "lounge", "great room", "sitting"]],
+];
+
+// surface, finishRecommendation and sheen per room and role ("*" = any room)
+const FINISH_TABLE = {
+  main: {
+    "*": ["Main walls", "Washable interior acrylic", "Eggshell"],
+    kitchen: ["Main walls", "Scrubbable, grease-resistant interior acrylic", "Satin"],
+    bathroom: ["Main walls", "Moisture- and mildew-resistant interior acrylic", "Satin"],
+    laundry: ["Main walls", "Moisture-resistant interior acrylic", "Satin"],
+    hallway: ["Main walls", "Scuff-resistant interior acrylic", "Satin"],
+    kids: ["Main walls", "Scrubbable, low-VOC interior acrylic", "Satin"],
+    bedroom: ["Main walls", "Low-VOC interior acrylic", "Matte"],
+    exterior: ["Siding", "100% acrylic exterior", "Satin"],
+  },
+  trim: {
+    "*": ["Trim, baseboards & window casings", "Waterborne alkyd trim enamel", "Semi-Gloss"],
+    exterior: ["Trim, fascia & window casings", "100% acrylic exterior trim", "Semi-Gloss"],
+  },
+  ceiling: {
+    "*": ["Ceiling", "Flat ceiling paint", "Flat"],
+    kitchen: ["Ceiling", "Washable ceiling paint", "Matte"],
+    bathroom: ["Ceiling", "Mildew-resistant ceiling paint", "Matte"],
+    laundry: ["Ceiling", "Mildew-resistant ceiling paint", "Matte"],
+    exterior: ["Porch ceiling & soffits", "100% acrylic exterior", "Satin"],
+  },
+  accent: {
+    "*": ["Accent wall", "Washable interior acrylic", "Eggshell"],
+    bedroom: ["Headboard wall", "Low-VOC interior acrylic", "Matte"],
+    kitchen: ["Island or backsplash wall", "Scrubbable interior acrylic", "Satin"],
+    bathroom: ["Vanity wall", "Moisture-resistant interior acrylic", "Satin"],
+    dining: ["Feature wall or wainscoting", "Washable interior acrylic", "Eggshell"],
+    exterior: ["Shutters & accents", "100% acrylic exterior", "Satin"],
+  },
+  door: {
+    "*": ["Interior doors", "Waterborne alkyd door & trim enamel", "Semi-Gloss"],
+    exterior: ["Front door", "Exterior door enamel", "Gloss"],
+  },
+  cabinet: {
+    "*": ["Built-ins & cabinetry", "Urethane-modified cabinet enamel", "Satin"],
+    kitchen: ["Cabinets & island", "Urethane-modified cabinet enamel", "Satin"],
+    bathroom: ["Vanity cabinet", "Urethane-modified cabinet enamel", "Semi-Gloss"],
+    laundry: ["Cabinets & shelving", "Urethane-modified cabinet enamel", "Semi-Gloss"],
+  },
+};
+
+const HOW_TO_USE = {
+  main: (c, ctx) => `Use ${c} on the main walls of the ${ctx.room}; it sets the overall tone for the ${ctx.style} look.`,
+  trim: (c, ctx) => `Paint baseboards, casings and crown in ${c} to ${ctx.trimContrast}.`,
+  ceiling: (c) => `Roll ${c} on the ceiling to keep the room feeling open and bounce light back down.`,
+  accent: (c, ctx) => `Use ${c} sparingly on one focal surface to give the ${ctx.style} scheme depth.`,
+  door: (c) => `Paint doors in ${c} to ground the room and hide everyday scuffs.`,
+  cabinet: (c) => `Use ${c} on cabinetry and built-ins; two thin coats over a bonding primer give the most durable finish.`,
+};
+
+export function normalizeRoom(room) {
+  const text = String(room || "").toLowerCase();
+  for (const [key, words] of ROOM_KEYWORDS) {
+    if (words.some(w => text.includes(w))) return key;
+  }
+  return "living";
+}
+
+function finishFor(role, roomKey) {
+  const row = FINISH_TABLE[role];
+  return row[roomKey] || row["*"];
+}
+
+function describe(item) {
+  if (item.name && item.brandName) return `${item.brandName} ${item.name}`;
+  return item.name || item.hex;
+}
+
+function pick(candidates, score, exclude) {
+  const pool = candidates.filter(c => !exclude.includes(c));
+  const from = pool.length ? pool : candidates;
+  return from.reduce((best, c) => (score(c) > score(best) ? c : best), from[0]);
+}
+
+/**
+ * Assigns roles to palette colors by lightness (L), chroma (C) and contrast.
+ * Returns [{ role, color }] with 4–6 entries; colors repeat when the palette is small.
+ */
+export function assignRoles(items, roomKey = "living") {
+  const seen = new Set();
+  const colors = [];
+  for (const item of items) {
+    const hex = normalizeHex(item.hex);
+    if (!hex || seen.has(hex)) continue;
+    seen.add(hex);
+    colors.push({ ...item, hex, ...hexToLch(hex) });
+  }
+  if (!colors.length) throw new Error("assignRoles: palette has no valid hex colors");
+
+  const used = [];
+  const take = c => { used.push(c); return c; };
+
+  // Light, quiet colors go overhead; main walls sit in the mid-light band.
+  const ceiling = take(pick(colors, c => c.L - 0.6 * c.C, used));
+  const main = take(pick(colors, c => -Math.abs(c.L - 72) - 0.4 * c.C, used));
+  // Trim wants a light neutral that reads against the walls; reuse the ceiling color otherwise.
+  const trimPool = colors.filter(c => !used.includes(c) && c.L >= 70 && c.C <= 20);
+  const trim = trimPool.length
+    ? take(pick(trimPool, c => c.L - 0.6 * c.C + 3 * contrastRatio(c.hex, main.hex), []))
+    : ceiling;
+  const accentPool = colors.length > 1 ? colors.filter(c => c !== main) : colors;
+  const accent = take(pick(accentPool, c => c.C + 0.4 * (100 - c.L), used));
+
+  const roles = [
+    { role: "main", color: main },
+    { role: "trim", color: trim },
+    { role: "ceiling", color: ceiling },
+    { role: "accent", color: accent },
+  ];
+
+  // Leftover colors become door/cabinet, darkest first; kitchens and baths lead with cabinets.
+  const extras = colors.filter(c => !used.includes(c)).sort((a, b) => a.L - b.L);
+  const extraRoles = ["kitchen", "bathroom", "laundry"].includes(roomKey) ? ["cabinet", "door"] : ["door", "cabinet"];
+  extras.slice(0, extraRoles.length).forEach((color, i) => roles.push({ role: extraRoles[i], color }));
+  return roles;
+}
+
+/**
+ * Builds a usage guide from the palette, room and style without calling a model.
+ * @param {{palette: object, room: string, style: string}} story
+ */
+export function buildUsageGuide({ palette, room, style }) {
+  const items = palette?.items?.length ? palette.items : (palette?.hexes || []).map(hex => ({ hex }));
+  const roomKey = normalizeRoom(room);
+  const roles = assignRoles(items, roomKey);
+  const main = roles[0].color;
+
+  const guide = roles.map(({ role, color }) => {
+    const [surface, finishRecommendation, sheen] = finishFor(role, roomKey);
+    const ratio = contrastRatio(color.hex, main.hex);
+    const ctx = {
+      room: room ? roomLabel(room) : "room",
+      style: styleLabel(style),
+      trimContrast: ratio >= 1.5 ? "crisply outline the walls" : "blend softly with the walls for a tone-on-tone look",
+    };
+    return {
+      role,
+      hex: color.hex,
+      name: color.name || color.hex,
+      brandName: color.brandName || "",
+      code: color.code || "",
+      surface,
+      finishRecommendation,
+      sheen,
+      howToUse: HOW_TO_USE[role](describe(color), ctx),
+    };
+  });
+  return USAGE_GUIDE.parse(guide);
+}
+
+/**
+ * Replaces model-invented brand/name/code on guide items with the palette's own
+ * paint details, or an exact catalog match for the hex.
+ */
+export function applyPaintDetails(guide, { palette, brandHints = [] }) {
+  const items = palette?.items || [];
+  const brands = resolveBrands(brandHints);
+  return guide.map(entry => {
+    const hex = normalizeHex(entry.hex);
+    const own = items.find(i => normalizeHex(i.hex) === hex && i.name);
+    const source = own || findByHex(hex, { brands })[0] || findByHex(hex)[0];
+    if (!source) return entry;
+    return {
+      ...entry,
+      brandName: source.brandName || entry.brandName,
+      name: source.name || entry.name,
+      code: source.code || entry.code,
+    };
+  });
+}
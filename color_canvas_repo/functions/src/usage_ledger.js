@@ -0,0 +1,166 @@
+import { logger } from "firebase-functions";
+import { admin, db } from "./firebase.js";
+
+// ✅ Usage ledger: one `usageLedger` document per AI call (text, image, speech) with
+// provider, model, tokens/characters, latency and an estimated cost, keyed by story and user.
+// Costs are list-price estimates in USD; update PRICING when prices or models change.
+
+export const LEDGER_COLLECTION = "usageLedger";
+
+// Text/image: USD per 1M tokens (+ per image). Speech: USD per 1M characters.
+const PRICING = {
+  "gemini-1.5-pro": { input: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-flash-2.5": { input: 0.3, output: 0, image: 0.039 },
+  "gemini-2.5-flash-image": { input: 0.3, output: 0, image: 0.039 },
+};
+
+// Google Cloud TTS voice families, by substring of the voice name
+const TTS_PRICING = [
+  ["Studio", 160],
+  ["Chirp", 30],
+  ["Neural2", 16],
+  ["Wavenet", 16],
+  ["Standard", 4],
+];
+const DEFAULT_TTS_PRICE = 16;
+
+/** "models/gemini-1.5-pro-latest" → "gemini-1.5-pro" */
+export function modelKey(model) {
+  return String(model || "unknown").replace(/^models\//, "").replace(/-latest$/, "").toLowerCase();
+}
+
+/**
+ * Estimated USD cost of one call; 0 for the stub provider and unknown models.
+ * @param {{kind: string, provider: string, model: string, voice?: string, usage: object}} call
+ */
+export function estimateCost({ kind, provider, model, voice, usage = {} }) {
+  if (provider === "stub") return 0;
+  if (kind === "speech") {
+    const [, price] = TTS_PRICING.find(([family]) => String(voice || "").includes(family)) || [null, DEFAULT_TTS_PRICE];
+    return ((usage.characters || 0) * price) / 1e6;
+  }
+  const price = PRICING[modelKey(model)];
+  if (!price) return 0;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6
+    + (usage.images || 0) * (price.image || 0);
+}
+
+const round = (v, digits = 6) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+async function record(entry) {
+  try {
+    await db.collection(LEDGER_COLLECTION).add({
+      ...entry,
+      estimatedCostUsd: round(estimateCost(entry)),
+      day: new Date().toISOString().slice(0, 10), // UTC, for range queries
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    // Accounting must never fail a generation
+    logger.warn("usage: Ledger write failed", { error: err.message, storyId: entry.storyId });
+  }
+}
+
+const METHODS = { generateText: "text", generateImage: "image", synthesizeSpeech: "speech" };
+
+/**
+ * Wraps a provider so every call writes a ledger entry, including failed calls.
+ * @param {object} ai provider from getProvider()
+ * @param {{storyId?: string, uid?: string, step?: string}} context
+ */
+export function meterProvider(ai, context = {}) {
+  const metered = { ...ai };
+  for (const [method, kind] of Object.entries(METHODS)) {
+    if (typeof ai[method] !== "function") continue;
+    metered[method] = async (args = {}) => {
+      const started = Date.now();
+      const base = {
+        kind,
+        provider: ai.id,
+        storyId: context.storyId || null,
+        uid: context.uid || null,
+        step: context.step || null,
+      };
+      try {
+        const res = await ai[method](args);
+        await record({
+          ...base,
+          model: modelKey(res.model || ai.models?.[kind]),
+          voice: res.voice || null,
+          usage: res.usage || {},
+          latencyMs: Date.now() - started,
+          ok: true,
+        });
+        return res;
+      } catch (err) {
+        await record({
+          ...base,
+          model: modelKey(ai.models?.[kind]),
+          voice: null,
+          usage: {},
+          latencyMs: Date.now() - started,
+          ok: false,
+          error: String(err?.message || err).slice(0, 500),
+        });
+        throw err;
+      }
+    };
+  }
+  return metered;
+}
+
+// ✅ Aggregation for the admin report
+export const GROUP_FIELDS = ["day", "uid", "model", "provider", "kind", "step", "storyId"];
+
+/**
+ * Sums ledger entries between two UTC days (inclusive), grouped by any of GROUP_FIELDS.
+ * @param {{from: string, to: string, uid?: string, model?: string, storyId?: string, groupBy?: string[]}} query
+ */
+export async function aggregateUsage({ from, to, uid, model, storyId, groupBy = ["day"] }) {
+  let q = db.collection(LEDGER_COLLECTION).where("day", ">=", from).where("day", "<=", to);
+  if (uid) q = q.where("uid", "==", uid);
+  if (storyId) q = q.where("storyId", "==", storyId);
+  const snap = await q.get();
+
+  const groups = new Map();
+  const totals = emptyRow({});
+  for (const doc of snap.docs) {
+    const e = doc.data();
+    if (model && e.model !== modelKey(model)) continue;
+    const key = groupBy.map(f => e[f] ?? null);
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, emptyRow(Object.fromEntries(groupBy.map((f, i) => [f, key[i]]))));
+    addEntry(groups.get(id), e);
+    addEntry(totals, e);
+  }
+
+  const rows = [...groups.values()].map(finishRow).sort((a, b) => b.estimatedCostUsd - a.estimatedCostUsd);
+  return { from, to, groupBy, rows, totals: finishRow(totals) };
+}
+
+function emptyRow(keys) {
+  return {
+    ...keys,
+    calls: 0, failures: 0,
+    inputTokens: 0, outputTokens: 0, characters: 0, images: 0,
+    latencyMs: 0, estimatedCostUsd: 0,
+  };
+}
+
+function addEntry(row, e) {
+  row.calls += 1;
+  if (!e.ok) row.failures += 1;
+  row.inputTokens += e.usage?.inputTokens || 0;
+  row.outputTokens += e.usage?.outputTokens || 0;
+  row.characters += e.usage?.characters || 0;
+  row.images += e.usage?.images || 0;
+  row.latencyMs += e.latencyMs || 0;
+  row.estimatedCostUsd += e.estimatedCostUsd || 0;
+}
+
+function finishRow({ latencyMs, ...row }) {
+  return { ...row, avgLatencyMs: row.calls ? Math.round(latencyMs / row.calls) : 0, estimatedCostUsd: round(row.estimatedCostUsd, 4) };
+}
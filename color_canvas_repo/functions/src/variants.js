@@ -0,0 +1,114 @@
+import * as functions from "firebase-functions";
+import { normalizeHex } from "./color/index.js";
+import { enrichPaletteItems } from "./paint_match.js";
+import { storyRole } from "./sharing.js";
+
+// ✅ Variant lineage: every variant copies its parent's normalized palette and metadata,
+// optionally with some colors swapped, and records where it came from:
+// variantOf      — parent story id
+// variantRootId  — the original (non-variant) story the tree grows from
+// variantChain   — ancestor ids, root first, ending with the parent
+
+/** Parent palette as stored, rebuilt from its hexes or usage guide for stories that predate `palette.items`. */
+function parentPalette(parent) {
+  const palette = parent.palette || {};
+  if (palette.items?.length) return palette;
+  const hexes = palette.hexes?.length ? palette.hexes : (parent.usageGuide || []).map(u => u.hex);
+  const items = hexes.filter(Boolean).map(hex => ({ hex }));
+  if (!items.length) {
+    throw new functions.https.HttpsError("failed-precondition", "The parent story has no palette to branch from");
+  }
+  return { id: palette.id ?? parent.sourcePaletteId ?? null, name: palette.name || parent.name, items };
+}
+
+/**
+ * The variant palette: the parent's items with `swaps` applied. Swapped-in colors are
+ * matched to catalog paints like any new palette item.
+ * @param {object} parent parent story data
+ * @param {{index?: number, from?: string, to: object}[]} swaps
+ * @returns {{palette: object, paletteSwaps: object[]}}
+ */
+export function variantPalette(parent, swaps = [], { brandHints = [] } = {}) {
+  const base = parentPalette(parent);
+  const items = [...base.items];
+  const paletteSwaps = swaps.map(({ index, from, to }) => {
+    const at = index ?? items.findIndex(item => normalizeHex(item.hex) === normalizeHex(from));
+    if (at < 0 || at >= items.length) {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        index != null ? `Palette has no color at index ${index}` : `Palette has no color ${from}`
+      );
+    }
+    const [replacement] = enrichPaletteItems([to], { brandHints });
+    const swap = { index: at, from: items[at].hex, to: replacement.hex };
+    items[at] = replacement;
+    return swap;
+  });
+  return {
+    palette: { id: base.id ?? null, name: base.name || "Untitled", items, hexes: items.map(i => i.hex) },
+    paletteSwaps,
+  };
+}
+
+/** Lineage fields for a new variant of `parent`. */
+export function lineageFields(parentId, parent) {
+  const chain = [...(parent.variantChain || (parent.variantOf ? [parent.variantOf] : [])), parentId];
+  return {
+    variantOf: parentId,
+    variantRootId: parent.variantRootId || parent.variantOf || parentId,
+    variantChain: chain,
+    variantDepth: chain.length,
+  };
+}
+
+// Tree listing shows public stories and the caller's own or shared ones; unlisted stories
+// are never listed, except the one the caller asked about.
+function listable(uid, story, requestedId) {
+  return story.id === requestedId || story.access === "public" || Boolean(storyRole(uid, story));
+}
+
+function treeNode(story) {
+  return {
+    id: story.id,
+    name: story.name || null,
+    ownerId: story.ownerId,
+    status: story.status || null,
+    access: story.access || "private",
+    emphasis: story.emphasis || "",
+    hexes: story.palette?.hexes || [],
+    paletteSwaps: story.paletteSwaps || [],
+    heroImageUrl: story.heroImageUrl || null,
+    heroThumbnails: story.heroThumbnails || null,
+    mediaUrlsExpireAt: story.mediaUrlsExpireAt || null,
+    variantDepth: story.variantDepth || 0,
+    createdAt: story.createdAt || null,
+    children: [],
+  };
+}
+
+const createdMs = node => node.createdAt?.toMillis?.() ?? (node.createdAt ? new Date(node.createdAt).getTime() : 0);
+
+/**
+ * Nests `stories` (a root and its variants) into a tree the caller may see. A variant whose
+ * parent is hidden hangs off its nearest visible ancestor.
+ * @returns {object} root node; a bare `status: "hidden"` node when the caller cannot see the root
+ */
+export function buildVariantTree(stories, { rootId, uid, requestedId }) {
+  const visible = stories.filter(s => listable(uid, s, requestedId));
+  const nodes = new Map(visible.map(s => [s.id, treeNode(s)]));
+  const root = nodes.get(rootId) || treeNode({ id: rootId, ownerId: null, status: "hidden" });
+
+  for (const story of visible) {
+    if (story.id === rootId) continue;
+    const ancestors = story.variantChain || [story.variantOf];
+    const parentId = [...ancestors].reverse().find(id => nodes.has(id));
+    (parentId ? nodes.get(parentId) : root).children.push(nodes.get(story.id));
+  }
+
+  const sortChildren = node => {
+    node.children.sort((a, b) => createdMs(a) - createdMs(b));
+    node.children.forEach(sortChildren);
+  };
+  sortChildren(root);
+  return root;
+}
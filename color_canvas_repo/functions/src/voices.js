@@ -0,0 +1,68 @@
+import * as functions from "firebase-functions";
+import { db } from "./firebase.js";
+
+// ✅ Narration language and voice options.
+// Resolution order: the request, then the story (retries), then the user's profile
+// (`users/{uid}.preferences.{locale, narrationVoice, speakingRate}`), then en-US defaults.
+
+export const DEFAULT_LOCALE = "en-US";
+export const DEFAULT_SPEAKING_RATE = 1;
+
+// Google Cloud TTS voices used when only a locale is chosen
+export const DEFAULT_VOICES = {
+  "en-US": "en-US-Neural2-C",
+  "en-GB": "en-GB-Neural2-A",
+  "es-ES": "es-ES-Neural2-A",
+  "es-US": "es-US-Neural2-A",
+  "fr-FR": "fr-FR-Neural2-A",
+  "fr-CA": "fr-CA-Neural2-A",
+};
+
+export const SUPPORTED_LOCALES = Object.keys(DEFAULT_VOICES);
+
+const LANGUAGE_NAMES = { en: "English", es: "Spanish", fr: "French" };
+
+/** "es-US" → "Spanish" */
+export function languageName(locale) {
+  return LANGUAGE_NAMES[String(locale || DEFAULT_LOCALE).slice(0, 2)] || "English";
+}
+
+export const isDefaultLanguage = locale => languageName(locale) === "English";
+
+/** Voices are named after their locale ("fr-CA-Neural2-A"). */
+function voiceMatchesLocale(voice, locale) {
+  return String(voice).toLowerCase().startsWith(`${locale.toLowerCase()}-`);
+}
+
+async function profilePreferences(uid) {
+  if (!uid) return {};
+  const snap = await db.collection("users").doc(uid).get();
+  const prefs = snap.exists ? snap.data().preferences || {} : {};
+  return { locale: prefs.locale, voice: prefs.narrationVoice, speakingRate: prefs.speakingRate };
+}
+
+/**
+ * Final { locale, voice, speakingRate } for a narration.
+ * A voice from a lower-priority source is dropped when it doesn't speak the chosen locale.
+ * @param {{locale?: string, voice?: string, speakingRate?: number}} requested validated request options
+ * @param {{uid?: string, story?: object}} context
+ * @throws {HttpsError} invalid-argument when the requested voice doesn't match the locale
+ */
+export async function resolveAudioOptions(requested = {}, { uid, story } = {}) {
+  const needsProfile = ["locale", "voice", "speakingRate"].some(k => requested[k] == null && story?.[k] == null);
+  const profile = needsProfile ? await profilePreferences(uid) : {};
+  const pick = key => requested[key] ?? story?.[key] ?? profile[key];
+
+  let locale = pick("locale");
+  if (!SUPPORTED_LOCALES.includes(locale)) locale = DEFAULT_LOCALE;
+
+  if (requested.voice && !voiceMatchesLocale(requested.voice, locale)) {
+    throw new functions.https.HttpsError("invalid-argument", `Voice ${requested.voice} does not speak ${locale}`);
+  }
+  const voice = [requested.voice, story?.voice, profile.voice].find(v => v && voiceMatchesLocale(v, locale))
+    || DEFAULT_VOICES[locale];
+
+  const rate = Number(pick("speakingRate"));
+  const speakingRate = rate >= 0.25 && rate <= 4 ? rate : DEFAULT_SPEAKING_RATE;
+  return { locale, voice, speakingRate };
+}
@@ -0,0 +1,67 @@
+// Fixture inputs for the prompt golden tests (test/prompts.test.js). Stories are in the
+// shape storyInputs() hands to pipeline steps.
+
+const analysis = {
+  colors: [
+    { hex: "#A8B5A3", lrv: 45.2, temperature: "cool", undertone: "green" },
+    { hex: "#F2EFE6", lrv: 86.1, temperature: "warm", undertone: "yellow" },
+    { hex: "#6B4F3A", lrv: 9.8, temperature: "warm", undertone: "red" },
+  ],
+  harmony: { type: "analogous" },
+  suggestedRoles: { main: "#A8B5A3", trim: "#F2EFE6", accent: "#6B4F3A" },
+  warnings: [{ message: "Trim and ceiling are nearly identical in daylight." }],
+};
+
+export const STORY_FIXTURES = {
+  minimal: {
+    room: "living room",
+    style: "modern",
+    vibeWords: [],
+    brandHints: [],
+    palette: { hexes: ["#D8D4CC", "#8A8F88"] },
+    emphasis: "",
+    paletteAnalysis: null,
+    locale: "en-US",
+  },
+  catalog: {
+    room: "kitchen",
+    style: "modern farmhouse",
+    vibeWords: ["calm", "fresh"],
+    brandHints: ["Benjamin Moore", "Behr"],
+    palette: {
+      items: [
+        { hex: "#A8B5A3", brandName: "Benjamin Moore", name: "Garden", code: "466" },
+        { hex: "#F2EFE6", brandName: "Behr", name: "Snowy Pine", code: "PPU10-13" },
+        { hex: "#6B4F3A", brandName: "Behr", name: "Outback Brown", code: "BXC-65" },
+      ],
+    },
+    emphasis: "",
+    paletteAnalysis: analysis,
+    locale: "en-US",
+  },
+  variantSpanish: {
+    room: "bedroom",
+    style: "japandi",
+    vibeWords: ["serene", "warmer"],
+    brandHints: ["SW"],
+    palette: { items: [{ hex: "#C4A484" }, { hex: "#EDE6DB", name: "Alabaster", brandName: "Sherwin-Williams", code: "SW 7008" }] },
+    emphasis: "warmer wood tones",
+    paletteAnalysis: analysis,
+    locale: "es-ES",
+  },
+};
+
+export const TRANSLATION_FIXTURES = {
+  french: {
+    narration: "Welcome to your calm kitchen.\n\nThe main walls wear Garden (466) in eggshell.",
+    locale: "fr-CA",
+    language: "French",
+  },
+};
+
+export const HERO_REVIEW_FIXTURES = {
+  kitchen: {
+    room: "kitchen",
+    categories: ["nudity or sexual content", "weapons", "legible text, logos or watermarks"],
+  },
+};
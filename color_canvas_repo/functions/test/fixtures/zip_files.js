@@ -0,0 +1,27 @@
+import { createZip } from "../../src/media/zip.js";
+
+// Hand-built ZIPs for the reader tests
+
+export const MB = 1024 * 1024;
+
+export function endRecord(zip) {
+  return zip.length - 22; // createZip writes no archive comment
+}
+
+/** `zip`'s only central-directory record repeated `copies` times, all pointing at the same data. */
+export function overlappingZip(copies) {
+  const zip = createZip([{ name: "e00000", data: Buffer.alloc(MB) }]);
+  const end = endRecord(zip);
+  const dirOffset = zip.readUInt32LE(end + 16);
+  const record = zip.subarray(dirOffset, end);
+  const directory = Buffer.concat(Array.from({ length: copies }, (_, i) => {
+    const copy = Buffer.from(record);
+    copy.write(`e${String(i).padStart(5, "0")}`, 46, "utf8");
+    return copy;
+  }));
+  const eocd = Buffer.from(zip.subarray(end));
+  eocd.writeUInt16LE(copies, 8);
+  eocd.writeUInt16LE(copies, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  return Buffer.concat([zip.subarray(0, dirOffset), directory, eocd]);
+}
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAse, writeAse } from "../src/palette_formats/ase.js";
+import { parseGpl, writeGpl } from "../src/palette_formats/gpl.js";
+import { parseSwatches, writeSwatches } from "../src/palette_formats/swatches.js";
+import { parseCss, writeCss } from "../src/palette_formats/css.js";
+import { parseJson, writeJson } from "../src/palette_formats/json.js";
+import { createZip } from "../src/media/zip.js";
+import { overlappingZip } from "./fixtures/zip_files.js";
+
+// Every format writes a palette that reads back to the same colors, and rejects or skips
+// what it can't read. `label` mirrors colorLabel in src/palette_formats/index.js.
+
+const PALETTE = {
+  name: "Sage & Stone",
+  colors: [
+    { hex: "#A8B5A3", brandName: "Sherwin-Williams", name: "Clary Sage", code: "SW 6178", roles: ["main"] },
+    { hex: "#F2EFE6", brandName: "Behr", name: "Swiss Coffee", code: "12", roles: ["trim"] },
+    { hex: "#6B4F3A", name: "", roles: [] },
+  ],
+};
+const label = c => [c.name, [c.brandName, c.code].filter(Boolean).join(" ")].filter(Boolean).join(" / ") || c.hex;
+const hexes = palettes => palettes.flatMap(p => p.colors.map(c => c.hex));
+
+test("ase: round trip keeps the group name, hexes and labels", () => {
+  const [palette, ...rest] = parseAse(writeAse(PALETTE, label));
+  assert.equal(rest.length, 0);
+  assert.equal(palette.name, PALETTE.name);
+  assert.deepEqual(hexes([palette]), PALETTE.colors.map(c => c.hex));
+  assert.deepEqual(palette.colors.map(c => c.name), PALETTE.colors.map(label));
+});
+
+test("ase: rejects other files and truncated blocks", () => {
+  assert.throws(() => parseAse(Buffer.from("GIMP Palette\n")), /Not an Adobe Swatch Exchange file/);
+  const file = writeAse(PALETTE, label);
+  assert.throws(() => parseAse(file.subarray(0, file.length - 10)), /Truncated/);
+});
+
+test("gpl: round trip keeps the name, hexes and labels", () => {
+  const [palette] = parseGpl(writeGpl(PALETTE, label));
+  assert.equal(palette.name, PALETTE.name);
+  assert.deepEqual(hexes([palette]), PALETTE.colors.map(c => c.hex));
+  assert.deepEqual(palette.colors.map(c => c.name), PALETTE.colors.map(label));
+});
+
+test("gpl: needs the header and skips rows it can't read", () => {
+  assert.throws(() => parseGpl("255 0 0\tRed\n"), /GIMP Palette/);
+  assert.deepEqual(parseGpl("GIMP Palette\n# comment\nnot a row\n", { fallbackName: "X" }), []);
+  assert.deepEqual(hexes(parseGpl("﻿GIMP Palette\r\n  0 128 255\tBlue\r\n")), ["#0080FF"]);
+});
+
+test("swatches: round trip keeps the name and hexes", () => {
+  const [palette] = parseSwatches(writeSwatches(PALETTE));
+  assert.equal(palette.name, PALETTE.name);
+  assert.deepEqual(hexes([palette]), PALETTE.colors.map(c => c.hex));
+});
+
+test("swatches: rejects files without Swatches.json and ZIP bombs", () => {
+  assert.throws(() => parseSwatches(Buffer.from("plain text")), /Not a ZIP file/);
+  assert.throws(() => parseSwatches(createZip([{ name: "other.json", data: "[]" }])), /Swatches.json not found/);
+  assert.throws(() => parseSwatches(createZip([{ name: "Swatches.json", data: "{" }])), SyntaxError);
+  assert.throws(() => parseSwatches(overlappingZip(20)), /shares its data/);
+});
+
+test("css: round trip keeps the name, hexes and labels, and writes role aliases", () => {
+  const css = writeCss(PALETTE, label);
+  assert.match(css, /--sage-stone-main: var\(--sage-stone-1\);/);
+  assert.match(css, /--sage-stone-trim: var\(--sage-stone-2\);/);
+  const [palette] = parseCss(css);
+  assert.equal(palette.name, PALETTE.name);
+  assert.deepEqual(hexes([palette]), PALETTE.colors.map(c => c.hex));
+  assert.deepEqual(palette.colors.map(c => c.name), PALETTE.colors.map(label));
+});
+
+test("css: reads short hex and rgb() values and skips everything else", () => {
+  const [palette] = parseCss(":root { --a: #abc; --b: rgb(10, 20, 30); --c: 12px; --d: var(--a); }", { fallbackName: "X" });
+  assert.equal(palette.name, "X");
+  assert.deepEqual(hexes([palette]), ["#AABBCC", "#0A141E"]);
+  assert.deepEqual(parseCss("body { color: red; }"), []);
+});
+
+test("json: round trip keeps every color field", () => {
+  const exportedAt = new Date("2026-01-02T03:04:05Z");
+  const file = JSON.parse(writeJson(PALETTE, { source: { type: "palette", id: "p1" }, exportedAt }));
+  assert.equal(file.exportedAt, exportedAt.toISOString());
+  assert.deepEqual(file.source, { type: "palette", id: "p1" });
+  const [palette] = parseJson(JSON.stringify(file));
+  assert.equal(palette.name, PALETTE.name);
+  assert.deepEqual(palette.colors[0], PALETTE.colors[0]);
+  assert.deepEqual(palette.colors[2], { hex: "#6B4F3A" });
+});
+
+test("json: names the palette and field that failed", () => {
+  assert.throws(() => parseJson("not json"), SyntaxError);
+  assert.throws(() => parseJson(JSON.stringify([{ colors: [{ hex: "#A8B5A3" }] }, { colors: [] }])), /^Error: Palette 2: colors/);
+  const [palette] = parseJson(JSON.stringify({ colors: [{ hex: "a8b5a3" }] }), { fallbackName: "X" });
+  assert.equal(palette.name, "X");
+  assert.equal(palette.colors[0].hex, "#A8B5A3");
+});
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PROMPT_TEMPLATES } from "../src/prompts/templates.js";
+import {
+  renderPrompt, storyPromptVariables, promptHash, assignPromptVersions, experimentBucket, validateExperiments,
+} from "../src/prompts/registry.js";
+import { STORY_FIXTURES, TRANSLATION_FIXTURES, HERO_REVIEW_FIXTURES } from "./fixtures/prompt_inputs.js";
+
+// Golden tests: every version of every template, rendered for every fixture, must match
+// test/golden/prompts/{name}@{version}.{fixture}.txt byte for byte. After adding a
+// template version, write its files with `UPDATE_GOLDEN=1 npm test` and review them.
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden", "prompts");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+function fixturesFor(name) {
+  if (name === "translation") return TRANSLATION_FIXTURES;
+  if (name === "heroReview") return HERO_REVIEW_FIXTURES;
+  return Object.fromEntries(Object.entries(STORY_FIXTURES).map(([id, story]) => [id, storyPromptVariables(story)]));
+}
+
+for (const [name, family] of Object.entries(PROMPT_TEMPLATES)) {
+  for (const version of Object.keys(family.versions)) {
+    for (const [fixture, variables] of Object.entries(fixturesFor(name))) {
+      test(`${name}@${version} renders ${fixture}`, () => {
+        const rendered = renderPrompt(name, variables, { version });
+        const file = path.join(GOLDEN_DIR, `${name}@${version}.${fixture}.txt`);
+        if (UPDATE) fs.writeFileSync(file, rendered.text);
+        assert.ok(fs.existsSync(file), `Missing golden file ${path.basename(file)} (run with UPDATE_GOLDEN=1)`);
+        assert.equal(rendered.text, fs.readFileSync(file, "utf8"));
+        assert.equal(rendered.hash, promptHash(rendered.text));
+        assert.equal(rendered.id, `${name}@${version}`);
+      });
+    }
+  }
+}
+
+test("every golden file belongs to a template version and fixture", () => {
+  const expected = new Set();
+  for (const [name, family] of Object.entries(PROMPT_TEMPLATES)) {
+    for (const version of Object.keys(family.versions)) {
+      for (const fixture of Object.keys(fixturesFor(name))) expected.add(`${name}@${version}.${fixture}.txt`);
+    }
+  }
+  assert.deepEqual(fs.readdirSync(GOLDEN_DIR).filter(f => !expected.has(f)), []);
+});
+
+test("current versions exist", () => {
+  for (const [name, family] of Object.entries(PROMPT_TEMPLATES)) {
+    assert.ok(family.versions[family.current], `${name}@${family.current}`);
+  }
+});
+
+test("variables are validated before rendering", () => {
+  assert.throws(
+    () => renderPrompt("narration", { ...storyPromptVariables(STORY_FIXTURES.minimal), vibeWords: "calm" }),
+    /narration@v4: vibeWords/
+  );
+  assert.throws(() => renderPrompt("narration", {}, { version: "v0" }), /Unknown prompt template version "narration@v0"/);
+});
+
+test("experiment arms are sticky per user and follow the weights", () => {
+  const version = PROMPT_TEMPLATES.narration.current;
+  const experiments = [{ id: "narration-test", template: "narration", active: true, arms: { [version]: 3, control: 1 } }];
+  const arms = {};
+  for (let i = 0; i < 2000; i++) {
+    const { promptVersions, promptExperiments } = assignPromptVersions(`user-${i}`, { experiments });
+    assert.equal(promptExperiments["narration-test"].version, promptVersions.narration);
+    arms[promptVersions.narration] = (arms[promptVersions.narration] || 0) + 1;
+  }
+  assert.ok(Math.abs(arms[version] / 2000 - 0.75) < 0.05, JSON.stringify(arms));
+  assert.deepEqual(assignPromptVersions("user-7", { experiments }), assignPromptVersions("user-7", { experiments }));
+  assert.ok(experimentBucket("narration-test", "user-7") < 1);
+});
+
+test("inactive experiments leave the current versions", () => {
+  const experiments = [{ id: "off", template: "hero", active: false, arms: { v4: 1 } }];
+  const { promptVersions, promptExperiments } = assignPromptVersions("u1", { experiments });
+  assert.equal(promptVersions.hero, PROMPT_TEMPLATES.hero.current);
+  assert.deepEqual(promptExperiments, {});
+});
+
+test("experiments must point at existing template versions", () => {
+  assert.throws(() => validateExperiments([{ id: "x", template: "hero", active: true, arms: { v99: 1 } }]), /hero@v99/);
+  assert.throws(() => validateExperiments([{ id: "x", template: "hero", active: true, arms: { v4: 0 } }]), /no weighted arms/);
+  validateExperiments();
+});
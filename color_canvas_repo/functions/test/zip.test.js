@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "node:stream";
+import { createZip, openZip, zipStream, MAX_ENTRIES } from "../src/media/zip.js";
+import { MB, endRecord, overlappingZip } from "./fixtures/zip_files.js";
+
+// The reader takes untrusted uploads (.swatches imports), so besides round trips these
+// cover the ways a small file can ask for a lot of memory.
+
+test("zip: round trips stored and deflated entries with UTF-8 names", () => {
+  const entries = [
+    { name: "Swatches.json", data: JSON.stringify({ name: "Sage" }).repeat(50) },
+    { name: "notes/é.txt", data: Buffer.from("hi") },
+  ];
+  const zip = openZip(createZip(entries));
+  assert.deepEqual(zip.names, ["Swatches.json", "notes/é.txt"]);
+  assert.equal(zip.read("Swatches.json").toString("utf8"), entries[0].data);
+  assert.equal(zip.read("notes/é.txt").toString("utf8"), "hi");
+  assert.throws(() => zip.read("missing.json"), /not in the ZIP/);
+});
+
+test("zip: streams the same bytes createZip builds", async () => {
+  const date = new Date("2026-01-02T03:04:05Z");
+  const entries = [
+    { name: "colors.json", data: "[]".repeat(100) },
+    { name: "media/hero.png", data: Buffer.from("png"), compress: false },
+  ];
+  const out = new PassThrough();
+  const chunks = [];
+  out.on("data", chunk => chunks.push(chunk));
+  const zip = zipStream(out, { date });
+  for (const entry of entries) await zip.add(entry);
+  const bytes = await zip.finish();
+  const streamed = Buffer.concat(chunks);
+  assert.equal(bytes, streamed.length);
+  assert.deepEqual(streamed, createZip(entries, { date }));
+  assert.equal(openZip(streamed).read("media/hero.png").toString("utf8"), "png");
+});
+
+test("zip: stream writes fail once the stream has failed", async () => {
+  const out = new PassThrough();
+  const zip = zipStream(out);
+  out.destroy(new Error("upload failed"));
+  await assert.rejects(zip.add({ name: "a.txt", data: "abc" }), /upload failed|destroyed/);
+});
+
+test("zip: rejects files that aren't ZIPs", () => {
+  assert.throws(() => openZip(Buffer.from("not a zip at all, just some text here")), /Not a ZIP file/);
+  const zip = createZip([{ name: "a.txt", data: "abc" }]);
+  assert.throws(() => openZip(zip.subarray(10)), /Corrupt ZIP/);
+});
+
+test("zip: only inflates the entries that are read", () => {
+  const zip = openZip(createZip([
+    { name: "big.bin", data: Buffer.alloc(9 * MB) },
+    { name: "small.txt", data: "ok" },
+  ]));
+  assert.equal(zip.read("small.txt").toString("utf8"), "ok");
+  assert.throws(() => zip.read("big.bin"), /too large/);
+});
+
+test("zip: caps the total inflated across entries", () => {
+  const zip = openZip(createZip(["a", "b", "c"].map(name => ({ name, data: Buffer.alloc(6 * MB) }))));
+  zip.read("a");
+  zip.read("b");
+  assert.throws(() => zip.read("c"), /too large/);
+});
+
+test("zip: rejects entries that share their data", () => {
+  assert.throws(() => openZip(overlappingZip(20)), /shares its data/);
+});
+
+test("zip: rejects directories with too many entries", () => {
+  const zip = createZip([{ name: "a.txt", data: "abc" }]);
+  zip.writeUInt16LE(MAX_ENTRIES + 1, endRecord(zip) + 10);
+  assert.throws(() => openZip(zip), /Too many ZIP entries/);
+});